@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+// cli.js (Single entry point: webflow2react <parse|convert|build> [options])
+import { loadConfig, DEFAULT_CONFIG_PATH, OVERRIDABLE_SECTIONS } from './config.js';
+import { processHtmlFiles } from './index.js';
+import { main as convertAsts, verify } from './converter.js';
+import { watch } from './watch.js';
+
+const COMMANDS = ['parse', 'convert', 'build', 'watch', 'verify'];
+
+// Short flags for the overrides we need most often in CI.
+const PATH_SHORTCUTS = {
+  '--input': 'paths.htmlInput',
+  '--asts': 'paths.asts',
+  '--output': 'paths.reactOutput',
+};
+
+const USAGE = `Usage: webflow2react <command> [options]
+
+Commands:
+  parse      Parse the HTML export into AST files (paths.htmlInput -> paths.asts)
+  convert    Convert AST files into React components and pages (paths.asts -> paths.reactOutput)
+  build      Run parse and convert in sequence
+  watch      Watch paths.htmlInput and regenerate only the pages that changed
+  verify     Render the generated pages and compare them with the original HTML
+
+Options:
+  -c, --config <file>           Config file to use (default: ${DEFAULT_CONFIG_PATH})
+  --input <dir>                 Shortcut for --paths.htmlInput
+  --asts <dir>                  Shortcut for --paths.asts
+  --output <dir>                Shortcut for --paths.reactOutput
+  --paths.<key> <value>         Override a single paths value
+  --componentization.<key> <value>
+                                Override a single componentization value
+                                (lists are comma-separated)
+  -h, --help                    Show this help
+
+Paths from --config are relative to the config file; paths given as flags are
+relative to the current directory.`;
+
+function parseArgs(argv) {
+  const options = { command: null, configPath: undefined, overrides: {}, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith('-')) {
+      if (options.command) throw new Error(`Unexpected argument "${arg}".`);
+      options.command = arg;
+      continue;
+    }
+    const eqIndex = arg.indexOf('=');
+    const flag = eqIndex === -1 ? arg : arg.slice(0, eqIndex);
+    const takeValue = () => {
+      if (eqIndex !== -1) return arg.slice(eqIndex + 1);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        throw new Error(`Missing value for ${flag}.`);
+      }
+      i++;
+      return next;
+    };
+    if (flag === '-c' || flag === '--config') {
+      options.configPath = takeValue();
+    } else if (PATH_SHORTCUTS[flag]) {
+      options.overrides[PATH_SHORTCUTS[flag]] = takeValue();
+    } else if (OVERRIDABLE_SECTIONS.some((s) => flag.startsWith(`--${s}.`))) {
+      options.overrides[flag.slice(2)] = takeValue();
+    } else {
+      throw new Error(`Unknown option "${flag}".`);
+    }
+  }
+  return options;
+}
+
+function printSummary(stage, processed, failures) {
+  console.log(
+    `\n[${stage}] ${processed.length} succeeded, ${failures.length} failed.`
+  );
+  failures.forEach(({ page, error }) => console.error(`  - ${page}: ${error}`));
+}
+
+async function run(argv) {
+  const options = parseArgs(argv);
+  if (options.help || !options.command) {
+    console.log(USAGE);
+    return options.help ? 0 : 1;
+  }
+  if (!COMMANDS.includes(options.command)) {
+    throw new Error(
+      `Unknown command "${options.command}". Expected one of: ${COMMANDS.join(', ')}.`
+    );
+  }
+
+  const config = loadConfig(options.configPath, options.overrides);
+  if (options.command === 'watch') {
+    await watch(config);
+    return 0;
+  }
+  let failed = false;
+
+  if (options.command === 'parse' || options.command === 'build') {
+    const { processed, failures } = await processHtmlFiles(
+      config.paths.htmlInput,
+      config.paths.asts
+    );
+    printSummary('parse', processed, failures);
+    failed = failed || failures.length > 0;
+  }
+  if (options.command === 'convert' || options.command === 'build') {
+    const { pages, failures } = await convertAsts(config);
+    printSummary('convert', pages, failures);
+    failed = failed || failures.length > 0;
+  }
+  if (options.command === 'verify') {
+    const { pages, failures } = await verify(config);
+    printSummary('verify', pages, failures);
+    failed = failed || failures.length > 0;
+  }
+  return failed ? 1 : 0;
+}
+
+run(process.argv.slice(2))
+  .then((exitCode) => {
+    process.exitCode = exitCode;
+  })
+  .catch((error) => {
+    console.error(`webflow2react: ${error.message}`);
+    process.exitCode = 1;
+  });
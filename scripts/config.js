@@ -0,0 +1,136 @@
+// config.js (Configuration loading, CLI overrides and path resolution)
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config.json');
+
+// Sections whose individual values may be overridden from the command line.
+export const OVERRIDABLE_SECTIONS = ['paths', 'componentization'];
+
+// These path entries point at real directories and are resolved to absolute paths.
+// The remaining `paths` entries are sub-directory names inside `reactOutput`.
+const LOCATION_PATH_KEYS = ['htmlInput', 'asts', 'reactOutput'];
+
+/**
+ * Converts a raw command-line string into the type of the value it replaces.
+ * Arrays are given as comma-separated lists, numbers and booleans are parsed.
+ */
+function coerceOverrideValue(rawValue, currentValue, key) {
+  if (Array.isArray(currentValue)) {
+    return String(rawValue)
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  if (typeof currentValue === 'number') {
+    const num = Number(rawValue);
+    if (Number.isNaN(num)) {
+      throw new Error(`Expected a number for "${key}", got "${rawValue}".`);
+    }
+    return num;
+  }
+  if (typeof currentValue === 'boolean') {
+    if (rawValue === true || rawValue === 'true') return true;
+    if (rawValue === false || rawValue === 'false') return false;
+    throw new Error(`Expected true or false for "${key}", got "${rawValue}".`);
+  }
+  return String(rawValue);
+}
+
+/**
+ * Applies dotted overrides such as `{ 'paths.htmlInput': '../export' }`.
+ * Only keys in OVERRIDABLE_SECTIONS that already exist in the config are accepted,
+ * so a typo on the command line fails loudly instead of being ignored.
+ */
+export function applyOverrides(config, overrides = {}) {
+  const result = structuredClone(config);
+  const overriddenPathKeys = new Set();
+  for (const [dottedKey, rawValue] of Object.entries(overrides)) {
+    const [section, key, ...rest] = dottedKey.split('.');
+    if (!OVERRIDABLE_SECTIONS.includes(section) || !key || rest.length > 0) {
+      throw new Error(
+        `Cannot override "${dottedKey}". Only ${OVERRIDABLE_SECTIONS.map(
+          (s) => `${s}.*`
+        ).join(' and ')} values can be overridden.`
+      );
+    }
+    if (!result[section] || !(key in result[section])) {
+      throw new Error(`Unknown configuration key "${dottedKey}".`);
+    }
+    result[section][key] = coerceOverrideValue(
+      rawValue,
+      result[section][key],
+      dottedKey
+    );
+    if (section === 'paths') overriddenPathKeys.add(key);
+  }
+  return { config: result, overriddenPathKeys };
+}
+
+/**
+ * A `plugins` entry is a module path or `{ path, options }`. Relative paths are resolved
+ * like the location paths; package names are left for import() to resolve.
+ */
+export function resolvePluginEntry(entry, baseDir) {
+  const modulePath = typeof entry === 'string' ? entry : entry?.path;
+  if (typeof modulePath !== 'string' || !modulePath) {
+    throw new Error(
+      'Each "plugins" entry must be a module path or { "path": ..., "options": ... }.'
+    );
+  }
+  if (!modulePath.startsWith('.')) return entry;
+  const resolvedPath = path.resolve(baseDir, modulePath);
+  return typeof entry === 'string' ? resolvedPath : { ...entry, path: resolvedPath };
+}
+
+// The default config.json, read once when this module loads (see getBuiltInConfig).
+const DEFAULT_CONFIG = fs.readJsonSync(DEFAULT_CONFIG_PATH);
+
+/**
+ * A copy of the settings of the default `config.json`, for convert(), which reads no config
+ * file. The location paths are left out, as convert() sets its own, and plugin paths are
+ * resolved like loadConfig() does.
+ */
+export function getBuiltInConfig() {
+  const config = structuredClone(DEFAULT_CONFIG);
+  LOCATION_PATH_KEYS.forEach((key) => delete config.paths?.[key]);
+  if (Array.isArray(config.plugins))
+    config.plugins = config.plugins.map((entry) => resolvePluginEntry(entry, __dirname));
+  return config;
+}
+
+/**
+ * Loads a config file, applies overrides and resolves the location and plugin paths.
+ *
+ * Paths from the default `config.json` stay relative to the `scripts` directory,
+ * as they always have been. Paths from a config passed with `--config` are
+ * relative to that file, and paths given as command-line overrides are relative
+ * to the current working directory.
+ */
+export function loadConfig(configPath = DEFAULT_CONFIG_PATH, overrides = {}) {
+  const absoluteConfigPath = path.resolve(configPath);
+  const rawConfig = fs.readJsonSync(absoluteConfigPath);
+  const baseDir =
+    absoluteConfigPath === DEFAULT_CONFIG_PATH
+      ? __dirname
+      : path.dirname(absoluteConfigPath);
+
+  const { config, overriddenPathKeys } = applyOverrides(rawConfig, overrides);
+  LOCATION_PATH_KEYS.forEach((key) => {
+    if (!config.paths?.[key]) return;
+    config.paths[key] = overriddenPathKeys.has(key)
+      ? path.resolve(process.cwd(), config.paths[key])
+      : path.resolve(baseDir, config.paths[key]);
+  });
+  if (config.plugins !== undefined) {
+    if (!Array.isArray(config.plugins)) {
+      throw new Error('"plugins" must be a list of plugin modules.');
+    }
+    config.plugins = config.plugins.map((entry) => resolvePluginEntry(entry, baseDir));
+  }
+  return config;
+}
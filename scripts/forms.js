@@ -0,0 +1,235 @@
+// forms.js (Webflow form (`w-form`) recognition)
+import { findNodes, getTextContent, hasClass, reportWarning, toPascalCase } from './converter.js';
+
+// Pre-passes like this one set `node.jsxOverride = { tagName, attributeNames,
+// extraAttributes, omitChildren, currentClassName, expression }`, which astNodeToJsx
+// applies when rendering the node. An `expression` replaces the node's JSX entirely.
+const NON_VALUE_INPUT_TYPES = new Set([
+  'submit',
+  'button',
+  'reset',
+  'image',
+  'file',
+  'hidden',
+]);
+
+// Within one form every field must have its own state key, so duplicated
+// names (and duplicated radio values) get a numeric suffix.
+function makeUniqueFieldKeys(fieldNodes, formDataName) {
+  const usedNames = new Set();
+  const radioValuesByName = new Map();
+  const renamed = [];
+  const uniqueKey = (key, usedKeys) => {
+    let candidate = key;
+    for (let count = 2; usedKeys.has(candidate); count++)
+      candidate = `${key}-${count}`;
+    usedKeys.add(candidate);
+    return candidate;
+  };
+  fieldNodes.forEach((field) => {
+    const { name, type, value } = field.attribs;
+    if (field.name === 'input' && type === 'radio') {
+      if (!radioValuesByName.has(name)) radioValuesByName.set(name, new Set());
+      const radioValue = value ?? 'on';
+      const uniqueValue = uniqueKey(radioValue, radioValuesByName.get(name));
+      if (uniqueValue !== radioValue) {
+        field.attribs.value = uniqueValue;
+        renamed.push(`radio ${name} value "${radioValue}" -> "${uniqueValue}"`);
+      }
+      usedNames.add(name);
+      return;
+    }
+    const uniqueName = uniqueKey(name, usedNames);
+    if (uniqueName !== name) {
+      field.attribs.name = uniqueName;
+      renamed.push(`"${name}" -> "${uniqueName}"`);
+    }
+  });
+  if (renamed.length > 0)
+    reportWarning(
+      'form',
+      `Form "${formDataName}": renamed ${renamed.length} duplicate field(s): ${renamed.join(', ')}`
+    );
+}
+
+function getOptionValue(option) {
+  return option.attribs?.value ?? getTextContent(option).trim();
+}
+
+// Turns one field into its controlled runtime component and returns its initial value.
+function prepareFormField(field) {
+  const { type } = field.attribs;
+  if (field.name === 'textarea') {
+    const defaultValue = getTextContent(field);
+    field.jsxOverride = {
+      tagName: 'FormTextarea',
+      omitChildren: true,
+      extraAttributes: defaultValue ? { defaultValue } : {},
+    };
+    return defaultValue;
+  }
+  if (field.name === 'select') {
+    const options = findNodes(
+      field,
+      (node) => node.type === 'tag' && node.name === 'option'
+    );
+    const selectedOption =
+      options.find((option) => option.attribs && 'selected' in option.attribs) ||
+      options[0];
+    options.forEach((option) => delete option.attribs?.selected);
+    const defaultValue = selectedOption ? getOptionValue(selectedOption) : '';
+    field.jsxOverride = {
+      tagName: 'FormSelect',
+      extraAttributes: defaultValue ? { defaultValue } : {},
+    };
+    return defaultValue;
+  }
+  if (type === 'checkbox' || type === 'radio') {
+    const isChecked = 'checked' in field.attribs;
+    delete field.attribs.checked;
+    delete field.attribs.type;
+    field.jsxOverride = {
+      tagName: type === 'checkbox' ? 'FormCheckbox' : 'FormRadio',
+      extraAttributes: isChecked ? { defaultChecked: true } : {},
+    };
+    if (type === 'checkbox') return isChecked;
+    return isChecked ? field.attribs.value ?? 'on' : undefined;
+  }
+  const defaultValue = field.attribs.value ?? '';
+  delete field.attribs.value;
+  field.jsxOverride = {
+    tagName: 'FormInput',
+    extraAttributes: defaultValue ? { defaultValue } : {},
+  };
+  return defaultValue;
+}
+
+/**
+ * Marks every `w-form` block (wrapper div + <form> + `w-form-done`/`w-form-fail`) and its
+ * named fields for conversion to the controlled components in runtime/Forms.jsx.
+ * Custom `w-checkbox`/`w-radio` labels are converted anywhere, inside a form or not.
+ */
+export function prepareForms(bodyNode) {
+  const formBlocks = findNodes(
+    bodyNode,
+    (node) =>
+      node.type === 'tag' &&
+      hasClass(node, 'w-form') &&
+      (node.children || []).some((c) => c.type === 'tag' && c.name === 'form')
+  );
+  formBlocks.forEach((block) => {
+    const formNode = block.children.find(
+      (c) => c.type === 'tag' && c.name === 'form'
+    );
+    const dataName =
+      formNode.attribs?.['data-name'] || formNode.attribs?.name || 'Form';
+    const fieldNodes = findNodes(
+      formNode,
+      (node) =>
+        node.type === 'tag' &&
+        ['input', 'textarea', 'select'].includes(node.name) &&
+        node.attribs?.name &&
+        !(node.name === 'input' && NON_VALUE_INPUT_TYPES.has(node.attribs.type))
+    );
+    makeUniqueFieldKeys(fieldNodes, dataName);
+
+    const initialValues = {};
+    fieldNodes.forEach((field) => {
+      const { name } = field.attribs;
+      const isRadio = field.name === 'input' && field.attribs.type === 'radio';
+      const initialValue = prepareFormField(field);
+      if (isRadio) {
+        if (initialValue !== undefined) initialValues[name] = initialValue;
+        else if (!(name in initialValues)) initialValues[name] = '';
+      } else initialValues[name] = initialValue;
+    });
+
+    // Only webflow.js uses these ids to submit the form; they differ per page and would
+    // keep identical forms from being shared as one component.
+    delete formNode.attribs['data-wf-page-id'];
+    delete formNode.attribs['data-wf-element-id'];
+    block.formBlock = { dataName };
+    block.jsxOverride = { tagName: 'FormBlock', extraAttributes: { initialValues } };
+    formNode.jsxOverride = { tagName: 'FormBody' };
+    block.children.forEach((child) => {
+      if (hasClass(child, 'w-form-done')) child.jsxOverride = { tagName: 'FormDone' };
+      else if (hasClass(child, 'w-form-fail')) child.jsxOverride = { tagName: 'FormFail' };
+    });
+  });
+
+  findNodes(
+    bodyNode,
+    (node) =>
+      node.type === 'tag' &&
+      node.name === 'label' &&
+      (hasClass(node, 'w-checkbox') || hasClass(node, 'w-radio'))
+  ).forEach((label) => {
+    const input = findNodes(
+      label,
+      (node) =>
+        node.type === 'tag' &&
+        node.name === 'input' &&
+        (node.jsxOverride || ['checkbox', 'radio'].includes(node.attribs?.type))
+    )[0];
+    if (!input) return;
+    if (!input.jsxOverride) prepareFormField(input);
+    label.jsxOverride = { tagName: 'FormChoice' };
+    findNodes(
+      label,
+      (node) =>
+        node.type === 'tag' &&
+        (node.attribs?.class || '')
+          .split(/\s+/)
+          .some((className) => className.endsWith('--inputType-custom'))
+    ).forEach((indicator) => {
+      indicator.attribs.class = indicator.attribs.class
+        .split(/\s+/)
+        .filter((className) => className !== 'w--redirected-checked')
+        .join(' ');
+      indicator.jsxOverride = { tagName: 'FormChoiceIndicator' };
+    });
+  });
+}
+
+/**
+ * React sets the initial state of the fields prepareForms leaves as plain elements from
+ * `defaultChecked` and the `defaultValue` of a <select>, and warns about `checked` and
+ * `selected` on <option>. Runs after prepareForms, whatever `forms.enabled` is.
+ */
+export function prepareUncontrolledFields(bodyNode) {
+  findNodes(
+    bodyNode,
+    (node) => node.type === 'tag' && node.name === 'input' && !node.jsxOverride?.tagName
+  ).forEach((input) => {
+    if (!('checked' in input.attribs)) return;
+    input.jsxOverride = {
+      ...input.jsxOverride,
+      attributeNames: { ...input.jsxOverride?.attributeNames, checked: 'defaultChecked' },
+    };
+  });
+  findNodes(
+    bodyNode,
+    (node) => node.type === 'tag' && node.name === 'select' && !node.jsxOverride?.tagName
+  ).forEach((select) => {
+    const selectedOptions = findNodes(
+      select,
+      (node) => node.type === 'tag' && node.name === 'option' && 'selected' in node.attribs
+    );
+    if (selectedOptions.length === 0) return;
+    selectedOptions.forEach((option) => delete option.attribs.selected);
+    const values = selectedOptions.map(getOptionValue);
+    select.jsxOverride = {
+      ...select.jsxOverride,
+      extraAttributes: {
+        ...select.jsxOverride?.extraAttributes,
+        defaultValue: 'multiple' in select.attribs ? values : values[0],
+      },
+    };
+  });
+}
+
+// Component name for a form block, from its form's data-name ("Email Form" -> "EmailForm").
+export function getFormComponentName(dataName) {
+  const baseName = dataName.replace(/[\s_-]*form$/i, '');
+  return `${baseName ? toPascalCase(baseName) : 'Webflow'}Form`;
+}
@@ -2,13 +2,13 @@ import fs from 'fs-extra';
 import path from 'path';
 import { parseDocument } from 'htmlparser2';
 import { fileURLToPath } from 'url';
+import { loadConfig } from './config.js';
 
 // --- Configuration ---
 const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const config = fs.readJsonSync(path.join(__dirname, '../config.json'));
 
-function cleanNode(node) {
+// Drops the parent/sibling links and source positions, so the AST can be stored as JSON.
+export function cleanNode(node) {
     if (Array.isArray(node)) {
         return node.map(cleanNode);
     }
@@ -24,9 +24,33 @@ function cleanNode(node) {
     return node;
 }
 
-async function processHtmlFiles(inputHtmlDir, outputAstDir) {
+export function getAstFilePath(outputAstDir, baseName) {
+    return path.join(outputAstDir, `${baseName}_ast.json`);
+}
+
+// The AST of an HTML document, as written to the AST files and read by converter.js.
+export function parseHtml(htmlContent) {
+    return cleanNode(parseDocument(htmlContent));
+}
+
+// Parses one HTML file and writes its AST. Used directly by watch mode.
+export async function processHtmlFile(htmlFilePath, outputAstDir) {
+    const baseName = path.basename(htmlFilePath, path.extname(htmlFilePath));
+    const htmlContent = await fs.readFile(htmlFilePath, "utf-8");
+    const cleanedAST = parseHtml(htmlContent);
+
+    const astFilePath = getAstFilePath(outputAstDir, baseName);
+    await fs.ensureDir(outputAstDir);
+    await fs.writeJson(astFilePath, cleanedAST, { spaces: 2 });
+    return astFilePath;
+}
+
+// Returns a summary instead of throwing, so one broken file doesn't stop the others.
+export async function processHtmlFiles(inputHtmlDir, outputAstDir) {
     await fs.ensureDir(outputAstDir);
     const htmlFiles = await fs.readdir(inputHtmlDir);
+    const processed = [];
+    const failures = [];
 
     for (const htmlFile of htmlFiles) {
         if (path.extname(htmlFile).toLowerCase() === '.html') {
@@ -34,21 +58,30 @@ async function processHtmlFiles(inputHtmlDir, outputAstDir) {
             const baseName = path.basename(htmlFile, '.html');
             console.log(`Processing ${htmlFile}...`);
 
-            const htmlContent = await fs.readFile(htmlFilePath, "utf-8");
-            const dom = parseDocument(htmlContent);
-            const cleanedAST = cleanNode(dom);
-
-            const astFilePath = path.join(outputAstDir, `${baseName}_ast.json`);
-            await fs.writeJson(astFilePath, cleanedAST, { spaces: 2 });
-            console.log(`AST written to ${astFilePath}`);
+            try {
+                const astFilePath = await processHtmlFile(htmlFilePath, outputAstDir);
+                console.log(`AST written to ${astFilePath}`);
+                processed.push(baseName);
+            } catch (error) {
+                console.error(`Failed to parse ${htmlFile}: ${error.message}`);
+                failures.push({ page: baseName, error: error.message });
+            }
         }
     }
+    return { processed, failures };
 }
 
 // --- Main execution ---
-const inputHtmlDirectory = path.join(__dirname, config.paths.htmlInput);
-const outputAstDirectory = path.join(__dirname, config.paths.asts);
-
-processHtmlFiles(inputHtmlDirectory, outputAstDirectory)
-    .then(() => console.log('All HTML files processed into ASTs.'))
-    .catch(console.error);
\ No newline at end of file
+// Kept so `node scripts/index.js` still works; the CLI (cli.js) is the preferred entry point.
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    const config = loadConfig();
+    processHtmlFiles(config.paths.htmlInput, config.paths.asts)
+        .then(({ failures }) => {
+            console.log('All HTML files processed into ASTs.');
+            if (failures.length > 0) process.exitCode = 1;
+        })
+        .catch((error) => {
+            console.error(error);
+            process.exitCode = 1;
+        });
+}
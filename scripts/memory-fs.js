@@ -0,0 +1,96 @@
+// memory-fs.js (In-memory stand-in for the fs-extra calls the converter makes)
+import path from 'path';
+
+function createNotFoundError(filePath) {
+  const error = new Error(`ENOENT: no such file or directory, '${filePath}'`);
+  error.code = 'ENOENT';
+  return error;
+}
+
+/**
+ * Creates a file system that keeps every file in a Map, keyed by absolute path. It has the
+ * fs-extra methods converter.js uses, with the same signatures. Directories exist implicitly
+ * while they hold a file, so ensureDir() has nothing to do. File contents are kept as given:
+ * strings stay strings and Buffers stay Buffers.
+ */
+export function createMemoryFileSystem() {
+  const files = new Map();
+  const toKey = (filePath) => path.resolve(filePath);
+  const isInside = (key, dirKey) =>
+    key.startsWith(dirKey.endsWith(path.sep) ? dirKey : dirKey + path.sep);
+  const read = (filePath) => {
+    const key = toKey(filePath);
+    if (!files.has(key)) throw createNotFoundError(filePath);
+    return files.get(key);
+  };
+  const write = (filePath, data) => {
+    files.set(toKey(filePath), data);
+  };
+  const removeTree = (targetPath, { keepRoot = false } = {}) => {
+    const targetKey = toKey(targetPath);
+    Array.from(files.keys()).forEach((key) => {
+      if ((!keepRoot && key === targetKey) || isInside(key, targetKey)) files.delete(key);
+    });
+  };
+  const toJson = (value, { spaces } = {}) => `${JSON.stringify(value, null, spaces)}\n`;
+
+  return {
+    files,
+    async pathExists(filePath) {
+      const key = toKey(filePath);
+      return files.has(key) || Array.from(files.keys()).some((fileKey) => isInside(fileKey, key));
+    },
+    async readFile(filePath, encoding) {
+      const data = read(filePath);
+      if (!encoding) return Buffer.isBuffer(data) ? data : Buffer.from(data);
+      return Buffer.isBuffer(data) ? data.toString(encoding) : data;
+    },
+    async readJson(filePath) {
+      const data = read(filePath);
+      return JSON.parse(Buffer.isBuffer(data) ? data.toString('utf-8') : data);
+    },
+    // The names directly inside `dirPath`; a directory that holds nothing has none.
+    async readdir(dirPath) {
+      const dirKey = toKey(dirPath);
+      const names = new Set();
+      files.forEach((data, key) => {
+        if (isInside(key, dirKey)) names.add(path.relative(dirKey, key).split(path.sep)[0]);
+      });
+      return Array.from(names).sort();
+    },
+    async writeFile(filePath, data) {
+      write(filePath, data);
+    },
+    async outputFile(filePath, data) {
+      write(filePath, data);
+    },
+    writeFileSync(filePath, data) {
+      write(filePath, data);
+    },
+    async writeJson(filePath, value, options) {
+      write(filePath, toJson(value, options));
+    },
+    async outputJson(filePath, value, options) {
+      write(filePath, toJson(value, options));
+    },
+    async copy(sourcePath, targetPath) {
+      const sourceKey = toKey(sourcePath);
+      if (files.has(sourceKey)) {
+        write(targetPath, files.get(sourceKey));
+        return;
+      }
+      const entries = Array.from(files.entries()).filter(([key]) => isInside(key, sourceKey));
+      if (entries.length === 0) throw createNotFoundError(sourcePath);
+      entries.forEach(([key, data]) =>
+        write(path.join(targetPath, path.relative(sourceKey, key)), data)
+      );
+    },
+    async ensureDir() {},
+    async emptyDir(dirPath) {
+      removeTree(dirPath, { keepRoot: true });
+    },
+    async remove(targetPath) {
+      removeTree(targetPath);
+    },
+  };
+}
@@ -0,0 +1,299 @@
+// report.js (Conversion report, as JSON and HTML)
+import path from 'path';
+import { run } from './run-context.js';
+import { getInstancePropValues } from './converter.js';
+
+const MAX_PROP_SAMPLES = 3;
+const MAX_SAMPLE_LENGTH = 80;
+
+function toPropSample(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_SAMPLE_LENGTH ? `${text.slice(0, MAX_SAMPLE_LENGTH - 1)}…` : text;
+}
+
+// Instance counts and a few distinct prop values per component used by one page.
+// SVG props are left out: their values are icon components or generated file paths.
+export function collectComponentUsage(localComponentRegistry) {
+  const usage = {};
+  localComponentRegistry.forEach((info, instanceNode) => {
+    const entry = (usage[info.name] ||= { instances: 0, samples: {} });
+    entry.instances++;
+    const sampledSpecs = Object.fromEntries(
+      Object.entries(info.propsSpec || {}).filter(([, spec]) => spec.type !== 'svg')
+    );
+    Object.entries(getInstancePropValues(instanceNode, sampledSpecs)).forEach(
+      ([propName, value]) => {
+        if (value === undefined || value === null || value === '') return;
+        const samples = (entry.samples[propName] ||= []);
+        const sample = toPropSample(value);
+        if (samples.length < MAX_PROP_SAMPLES && !samples.includes(sample))
+          samples.push(sample);
+      }
+    );
+  });
+  return usage;
+}
+
+// Every page, component and warning of the output, including pages skipped by incremental runs.
+// The shared layout is listed among the users of its components, under its own name.
+function buildConversionReport() {
+  const pageNames = Array.from(run.globalPageRecords.keys()).sort();
+  const usageRecords = new Map(
+    pageNames.map((pageName) => [pageName, run.globalPageRecords.get(pageName)])
+  );
+  if (run.globalLayoutRecord) usageRecords.set(run.globalLayoutRecord.name, run.globalLayoutRecord);
+  const warnings = [
+    ...Array.from(usageRecords).flatMap(([pageName, record]) =>
+      (record.warnings || []).map((warning) => ({
+        page: pageName,
+        ...warning,
+      }))
+    ),
+    ...run.runWarnings.map((warning) => ({ page: null, ...warning })),
+  ];
+  const accessibility = Array.from(usageRecords).flatMap(([pageName, record]) =>
+    (record.accessibility || []).map((issue) => ({ page: pageName, ...issue }))
+  );
+  const pages = pageNames.map((pageName) => {
+    const record = run.globalPageRecords.get(pageName);
+    return {
+      name: pageName,
+      file: path.posix.join(run.pathConfig.pages, record.pageFile),
+      layout: record.layout || null,
+      components: record.components,
+      icons: record.icons || [],
+      warnings: (record.warnings || []).length,
+    };
+  });
+  const layout = run.globalLayoutRecord && {
+    name: run.globalLayoutRecord.name,
+    file: run.globalLayoutRecord.file.replace(/\\/g, '/'),
+    referencePage: run.globalLayoutRecord.referencePage,
+    pages: pageNames.filter(
+      (pageName) => run.globalPageRecords.get(pageName).layout === run.globalLayoutRecord.name
+    ),
+    components: run.globalLayoutRecord.components,
+    slots: (run.globalLayoutRecord.slots || []).map(({ name }) => name),
+    excludedPages: run.globalLayoutRecord.excludedPages || [],
+  };
+  const components = Array.from(run.globalGeneratedComponentSignatures)
+    .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+    .map(([fingerprint, info]) => {
+      const usedBy = Array.from(usageRecords)
+        .map(([pageName, record]) => ({
+          page: pageName,
+          instances: record.componentUsage?.[info.name]?.instances || 0,
+        }))
+        .filter(({ instances }) => instances > 0);
+      const props = Object.entries(info.props || {}).map(([propName, prop]) => {
+        const samples = [];
+        usageRecords.forEach((record) =>
+          (record.componentUsage?.[info.name]?.samples[propName] || []).forEach((sample) => {
+            if (samples.length < MAX_PROP_SAMPLES && !samples.includes(sample))
+              samples.push(sample);
+          })
+        );
+        return { name: propName, ...prop, samples };
+      });
+      return {
+        name: info.name,
+        type: info.type,
+        // The key for componentization.naming.signatures.
+        signature: fingerprint.substring(0, 8),
+        file: info.filePath.replace(/\\/g, '/'),
+        instances: usedBy.reduce((total, { instances }) => total + instances, 0),
+        usedBy,
+        props,
+      };
+    });
+  const countBy = (items, key) =>
+    items.reduce((counts, item) => {
+      counts[item[key]] = (counts[item[key]] || 0) + 1;
+      return counts;
+    }, {});
+  return {
+    summary: {
+      pages: pages.length,
+      components: components.length,
+      icons: run.globalIconComponents.size,
+      warnings: warnings.length,
+      componentsByType: countBy(components, 'type'),
+      warningsByCategory: countBy(warnings, 'category'),
+      accessibilityIssues: accessibility.length,
+      accessibilityFixed: accessibility.filter((issue) => issue.fixed).length,
+      accessibilityByRule: countBy(accessibility, 'rule'),
+    },
+    layout,
+    pages,
+    components,
+    warnings,
+    accessibility,
+  };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderReportTable(headers, rows) {
+  if (rows.length === 0) return '<p class="empty">None.</p>';
+  const head = headers.map((header) => `<th>${escapeHtml(header)}</th>`).join('');
+  const body = rows
+    .map((cells) => `<tr>${cells.map((cell) => `<td>${cell}</td>`).join('')}</tr>`)
+    .join('\n');
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+// A self-contained page; every value from the site is escaped, since it is the export's text.
+function renderConversionReportHtml(report) {
+  const { summary } = report;
+  const counts = (record) =>
+    Object.entries(record)
+      .map(([key, count]) => `${escapeHtml(key)}: ${count}`)
+      .join(', ') || '—';
+  const list = (items) => items.map(escapeHtml).join(', ') || '—';
+  const summaryTable = renderReportTable(
+    [
+      'Pages',
+      'Components',
+      'Icons',
+      'Components by type',
+      'Warnings',
+      'Warnings by category',
+      'Accessibility issues',
+    ],
+    [
+      [
+        summary.pages,
+        summary.components,
+        summary.icons,
+        counts(summary.componentsByType),
+        summary.warnings,
+        counts(summary.warningsByCategory),
+        `${summary.accessibilityIssues} (${summary.accessibilityFixed} fixed)`,
+      ],
+    ]
+  );
+  const layoutTable = renderReportTable(
+    ['Layout', 'File', 'Reference page', 'Pages', 'Slots', 'Components', 'Pages left out'],
+    report.layout
+      ? [
+          [
+            `<code>${escapeHtml(report.layout.name)}</code>`,
+            `<code>${escapeHtml(report.layout.file)}</code>`,
+            escapeHtml(report.layout.referencePage),
+            list(report.layout.pages),
+            list(report.layout.slots),
+            list(report.layout.components),
+            list(report.layout.excludedPages),
+          ],
+        ]
+      : []
+  );
+  const pagesTable = renderReportTable(
+    ['Page', 'File', 'Layout', 'Components', 'Warnings'],
+    report.pages.map((page) => [
+      escapeHtml(page.name),
+      `<code>${escapeHtml(page.file)}</code>`,
+      escapeHtml(page.layout ?? '—'),
+      list(page.components),
+      page.warnings,
+    ])
+  );
+  const componentsTable = renderReportTable(
+    ['Component', 'Type', 'Signature', 'Instances', 'Used by', 'Props'],
+    report.components.map((component) => [
+      `<code>${escapeHtml(component.name)}</code>`,
+      escapeHtml(component.type),
+      `<code>${escapeHtml(component.signature)}</code>`,
+      component.instances,
+      list(component.usedBy.map(({ page, instances }) => `${page} (${instances})`)),
+      component.props.length === 0
+        ? '—'
+        : `<ul>${component.props
+            .map(
+              (prop) =>
+                `<li><code>${escapeHtml(prop.name)}</code> <span class="muted">${escapeHtml(
+                  prop.type
+                )}${prop.required ? '' : ', optional'}</span>${prop.samples
+                  .map((sample) => ` <q>${escapeHtml(sample)}</q>`)
+                  .join('')}</li>`
+            )
+            .join('')}</ul>`,
+    ])
+  );
+  const warningsTable = renderReportTable(
+    ['Category', 'Page', 'Message'],
+    report.warnings.map((warning) => [
+      escapeHtml(warning.category),
+      escapeHtml(warning.page ?? '—'),
+      escapeHtml(warning.message),
+    ])
+  );
+  const accessibilityTable = renderReportTable(
+    ['Rule', 'Page', 'Element', 'Issue', 'Fix'],
+    report.accessibility.map((issue) => [
+      escapeHtml(issue.rule),
+      escapeHtml(issue.page),
+      `<code>${escapeHtml(issue.path)}</code>`,
+      escapeHtml(issue.message),
+      issue.fix
+        ? `${issue.fixed ? 'Fixed' : 'Available'}: ${escapeHtml(issue.fix)}`
+        : '—',
+    ])
+  );
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Conversion report</title>
+<style>
+body { font: 14px/1.5 system-ui, sans-serif; margin: 2rem; color: #1d1d1f; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+th, td { border: 1px solid #d2d2d7; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f5f5f7; }
+ul { margin: 0; padding-left: 1.2rem; }
+q, .muted, .empty { color: #6e6e73; }
+</style>
+</head>
+<body>
+<h1>Conversion report</h1>
+<h2>Summary</h2>
+${summaryTable}
+<h2>Shared layout</h2>
+${layoutTable}
+<h2>Pages</h2>
+${pagesTable}
+<h2>Components</h2>
+${componentsTable}
+<h2>Warnings</h2>
+${warningsTable}
+<h2>Accessibility</h2>
+${accessibilityTable}
+</body>
+</html>
+`;
+}
+
+export async function writeConversionReport() {
+  const report = buildConversionReport();
+  const writtenFiles = [];
+  if (run.REPORT.json) {
+    const jsonPath = path.join(run.REACT_OUTPUT_DIR, run.REPORT.json);
+    await run.fileSystem.outputJson(jsonPath, report, { spaces: 2 });
+    writtenFiles.push(jsonPath);
+  }
+  if (run.REPORT.html) {
+    const htmlPath = path.join(run.REACT_OUTPUT_DIR, run.REPORT.html);
+    await run.fileSystem.outputFile(htmlPath, renderConversionReportHtml(report));
+    writtenFiles.push(htmlPath);
+  }
+  if (writtenFiles.length > 0)
+    run.logger.log(
+      `Conversion report (${report.summary.warnings} warnings): ${writtenFiles.join(', ')}`
+    );
+}
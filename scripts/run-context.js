@@ -0,0 +1,34 @@
+// run-context.js (The conversion run that the current code belongs to)
+import { AsyncLocalStorage } from 'async_hooks';
+
+const runStorage = new AsyncLocalStorage();
+
+/**
+ * Runs `task` as part of `runState`, a run created by createRun() in converter.js. Everything
+ * `task` calls sees that run through `run`, also after an `await`, so concurrent runs (such as
+ * two convert() calls) each see their own config, state, file system and logger.
+ */
+export function withRun(runState, task) {
+  return runStorage.run(runState, task);
+}
+
+function getCurrentRun() {
+  const runState = runStorage.getStore();
+  if (!runState) throw new Error('No conversion run is in progress.');
+  return runState;
+}
+
+/**
+ * The current run, e.g. `run.SVG_STRATEGY`, `run.globalPageRecords` or `run.fileSystem`.
+ * Reading or setting a property outside withRun() throws.
+ */
+export const run = new Proxy(
+  {},
+  {
+    get: (_, key) => getCurrentRun()[key],
+    set: (_, key, value) => {
+      getCurrentRun()[key] = value;
+      return true;
+    },
+  }
+);
@@ -0,0 +1,20 @@
+// Dropdown.d.ts (Types for runtime/Dropdown.jsx, copied with TypeScript output)
+import type {
+  ComponentPropsWithoutRef,
+  ElementType,
+  HTMLAttributes,
+  ReactElement,
+} from 'react';
+
+export interface DropdownProps extends ComponentPropsWithoutRef<'div'> {
+  'data-hover'?: string | boolean;
+  'data-delay'?: string | number;
+}
+
+export declare const Dropdown: (props: DropdownProps) => ReactElement;
+export declare const DropdownToggle: (
+  props: ComponentPropsWithoutRef<'div'>
+) => ReactElement;
+export declare const DropdownList: (
+  props: HTMLAttributes<HTMLElement> & { as?: ElementType }
+) => ReactElement;
@@ -0,0 +1,133 @@
+// Dropdown.jsx (Runtime for converted Webflow `w-dropdown` widgets)
+// Copied as-is into the generated components directory by converter.js.
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from 'react';
+
+const DropdownContext = createContext(null);
+
+// The class webflow.js puts on the toggle and list of an open dropdown.
+const OPEN_CLASS = 'w--open';
+
+const withClass = (className, extraClass, enabled) =>
+  enabled ? `${className} ${extraClass}`.trim() : className;
+
+/**
+ * The `w-dropdown` wrapper. Like webflow.js it reads `data-hover` (open on hover) and
+ * `data-delay` (close delay in ms) from its own attributes. It closes on a click outside,
+ * on Escape and when one of its `w-dropdown-link`s is clicked.
+ */
+export const Dropdown = ({
+  'data-hover': hover,
+  'data-delay': delay,
+  children,
+  ...props
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const rootRef = useRef(null);
+  const toggleRef = useRef(null);
+  const closeTimerRef = useRef(null);
+  const openOnHover = String(hover) === 'true';
+  const closeDelay = Number(delay) || 0;
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handlePointerDown = (event) => {
+      if (!rootRef.current?.contains(event.target)) setIsOpen(false);
+    };
+    const handleKeyDown = (event) => {
+      if (event.key !== 'Escape') return;
+      setIsOpen(false);
+      toggleRef.current?.focus();
+    };
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('touchstart', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('touchstart', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isOpen]);
+
+  useEffect(() => () => clearTimeout(closeTimerRef.current), []);
+
+  const hoverHandlers = openOnHover
+    ? {
+        onMouseEnter: () => {
+          clearTimeout(closeTimerRef.current);
+          setIsOpen(true);
+        },
+        onMouseLeave: () => {
+          closeTimerRef.current = setTimeout(
+            () => setIsOpen(false),
+            closeDelay
+          );
+        },
+      }
+    : {};
+
+  return (
+    <DropdownContext.Provider value={{ isOpen, setIsOpen, toggleRef }}>
+      <div
+        {...props}
+        data-hover={hover}
+        data-delay={delay}
+        ref={rootRef}
+        style={isOpen ? { ...props.style, zIndex: 901 } : props.style}
+        {...hoverHandlers}
+      >
+        {children}
+      </div>
+    </DropdownContext.Provider>
+  );
+};
+
+// The `w-dropdown-toggle`. It is a <div> in the export, so it gets a button role and keyboard support.
+export const DropdownToggle = ({ className = '', children, ...props }) => {
+  const { isOpen, setIsOpen, toggleRef } = useContext(DropdownContext);
+  return (
+    <div
+      {...props}
+      ref={toggleRef}
+      className={withClass(className, OPEN_CLASS, isOpen)}
+      role="button"
+      tabIndex={0}
+      aria-haspopup="menu"
+      aria-expanded={isOpen}
+      onClick={() => setIsOpen(!isOpen)}
+      onKeyDown={(event) => {
+        if (event.key !== 'Enter' && event.key !== ' ') return;
+        event.preventDefault();
+        setIsOpen(!isOpen);
+      }}
+    >
+      {children}
+    </div>
+  );
+};
+
+// The `w-dropdown-list`, rendered with its original tag (`as`, a <nav> by default).
+export const DropdownList = ({
+  as: Tag = 'nav',
+  className = '',
+  children,
+  ...props
+}) => {
+  const { isOpen, setIsOpen } = useContext(DropdownContext);
+  return (
+    <Tag
+      {...props}
+      className={withClass(className, OPEN_CLASS, isOpen)}
+      onClick={(event) => {
+        if (event.target.closest('.w-dropdown-link')) setIsOpen(false);
+      }}
+    >
+      {children}
+    </Tag>
+  );
+};
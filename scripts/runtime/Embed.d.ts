@@ -0,0 +1,11 @@
+// Embed.d.ts (Types for runtime/Embed.jsx, copied with TypeScript output)
+import type { ComponentPropsWithoutRef, ReactElement } from 'react';
+
+export interface EmbedProps extends Omit<
+  ComponentPropsWithoutRef<'div'>,
+  'children' | 'dangerouslySetInnerHTML'
+> {
+  html: string;
+}
+
+export declare const Embed: (props: EmbedProps) => ReactElement;
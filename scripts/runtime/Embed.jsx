@@ -0,0 +1,35 @@
+// Embed.jsx (Runtime for Webflow `w-embed` custom code that can't be expressed as JSX)
+// Copied as-is into the generated components directory by converter.js.
+import React, { useEffect, useRef } from 'react';
+
+// Scripts already run by an Embed, so a re-run effect (e.g. in StrictMode) skips them.
+const executedScripts = new WeakSet();
+
+/**
+ * Renders the embed's HTML as-is. Scripts inserted through innerHTML never run, so after mount
+ * each <script> is replaced by a fresh copy, which the browser executes in document order.
+ */
+export const Embed = ({ html, ...props }) => {
+  const embedRef = useRef(null);
+  useEffect(() => {
+    const scripts = Array.from(
+      embedRef.current?.querySelectorAll('script') || []
+    );
+    scripts
+      .filter((original) => !executedScripts.has(original))
+      .forEach((original) => {
+        const script = document.createElement('script');
+        Array.from(original.attributes).forEach(({ name, value }) =>
+          script.setAttribute(name, value)
+        );
+        script.text = original.text;
+        // Dynamically inserted external scripts are async unless told otherwise.
+        script.async = original.hasAttribute('async');
+        executedScripts.add(script);
+        original.replaceWith(script);
+      });
+  }, [html]);
+  return (
+    <div {...props} ref={embedRef} dangerouslySetInnerHTML={{ __html: html }} />
+  );
+};
@@ -0,0 +1,49 @@
+// Forms.d.ts (Types for runtime/Forms.jsx, copied with TypeScript output)
+import type { ComponentPropsWithoutRef, ReactElement } from 'react';
+
+export type FormValues = Record<string, unknown>;
+
+export interface FormBlockProps extends Omit<
+  ComponentPropsWithoutRef<'div'>,
+  'onSubmit'
+> {
+  initialValues?: FormValues;
+  onSubmit?: (values: FormValues) => void | Promise<void>;
+}
+
+export interface FormChoiceInputProps extends Omit<
+  ComponentPropsWithoutRef<'input'>,
+  'type' | 'checked'
+> {
+  defaultChecked?: boolean;
+}
+
+export declare const FormBlock: (props: FormBlockProps) => ReactElement;
+export declare const FormBody: (
+  props: Omit<ComponentPropsWithoutRef<'form'>, 'onSubmit'>
+) => ReactElement;
+export declare const FormDone: (
+  props: ComponentPropsWithoutRef<'div'>
+) => ReactElement | null;
+export declare const FormFail: (
+  props: ComponentPropsWithoutRef<'div'>
+) => ReactElement | null;
+export declare const FormInput: (
+  props: Omit<ComponentPropsWithoutRef<'input'>, 'value'>
+) => ReactElement;
+export declare const FormTextarea: (
+  props: Omit<ComponentPropsWithoutRef<'textarea'>, 'value'>
+) => ReactElement;
+export declare const FormSelect: (
+  props: Omit<ComponentPropsWithoutRef<'select'>, 'value'>
+) => ReactElement;
+export declare const FormCheckbox: (
+  props: FormChoiceInputProps
+) => ReactElement;
+export declare const FormRadio: (props: FormChoiceInputProps) => ReactElement;
+export declare const FormChoice: (
+  props: ComponentPropsWithoutRef<'label'>
+) => ReactElement;
+export declare const FormChoiceIndicator: (
+  props: ComponentPropsWithoutRef<'div'>
+) => ReactElement;
@@ -0,0 +1,200 @@
+// Forms.jsx (Runtime for converted Webflow `w-form` blocks)
+// Copied as-is into the generated components directory by converter.js.
+import React, { createContext, useContext, useEffect, useState } from 'react';
+
+const FormContext = createContext(null);
+const ChoiceContext = createContext(null);
+
+// webflow.js toggles this class on custom checkbox/radio visuals; here it follows React state.
+const CHECKED_CLASS = 'w--redirected-checked';
+
+// Fields read and write the surrounding FormBlock's values; outside a form they keep local state.
+function useFieldValue(name, fallback) {
+  const form = useContext(FormContext);
+  const [localValue, setLocalValue] = useState(fallback);
+  if (form && name) {
+    return [
+      form.values[name] ?? fallback,
+      (value) => form.setValue(name, value),
+    ];
+  }
+  return [localValue, setLocalValue];
+}
+
+// Checkboxes store a boolean, radios store the value of the selected radio.
+function useChoice(type, name, value, defaultChecked) {
+  const fallback =
+    type === 'checkbox' ? Boolean(defaultChecked) : defaultChecked ? value : '';
+  const [current, setCurrent] = useFieldValue(name, fallback);
+  const checked = type === 'checkbox' ? Boolean(current) : current === value;
+  const toggle = () => setCurrent(type === 'checkbox' ? !checked : value);
+
+  // Report the state to an enclosing FormChoice label, which styles its custom indicator.
+  const choice = useContext(ChoiceContext);
+  const setChoiceChecked = choice?.setChecked;
+  useEffect(() => {
+    setChoiceChecked?.(checked);
+  }, [setChoiceChecked, checked]);
+
+  return { checked, toggle };
+}
+
+/**
+ * The `w-form` wrapper. Holds the values of every named field inside it and the submit status.
+ * `onSubmit` receives the values; when it throws or rejects, the fail block is shown.
+ */
+export const FormBlock = ({
+  initialValues = {},
+  onSubmit,
+  children,
+  ...props
+}) => {
+  const [values, setValues] = useState(initialValues);
+  const [status, setStatus] = useState('idle');
+  const setValue = (name, value) =>
+    setValues((previous) => ({ ...previous, [name]: value }));
+  const submit = async () => {
+    setStatus('submitting');
+    try {
+      if (onSubmit) await onSubmit(values);
+      setStatus('success');
+    } catch {
+      setStatus('error');
+    }
+  };
+  return (
+    <FormContext.Provider value={{ values, setValue, status, submit }}>
+      <div {...props}>{children}</div>
+    </FormContext.Provider>
+  );
+};
+
+// Like webflow.js, the form is hidden once the submission succeeded.
+export const FormBody = ({ style, children, ...props }) => {
+  const form = useContext(FormContext);
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    form?.submit();
+  };
+  return (
+    <form
+      {...props}
+      style={form?.status === 'success' ? { ...style, display: 'none' } : style}
+      onSubmit={handleSubmit}
+    >
+      {children}
+    </form>
+  );
+};
+
+// Webflow's CSS hides `.w-form-done` and `.w-form-fail`, so they are shown with an inline style.
+export const FormDone = ({ style, children, ...props }) => {
+  const form = useContext(FormContext);
+  if (form?.status !== 'success') return null;
+  return (
+    <div {...props} style={{ ...style, display: 'block' }}>
+      {children}
+    </div>
+  );
+};
+
+export const FormFail = ({ style, children, ...props }) => {
+  const form = useContext(FormContext);
+  if (form?.status !== 'error') return null;
+  return (
+    <div {...props} style={{ ...style, display: 'block' }}>
+      {children}
+    </div>
+  );
+};
+
+export const FormInput = ({ name, defaultValue = '', ...props }) => {
+  const [value, setValue] = useFieldValue(name, defaultValue);
+  return (
+    <input
+      {...props}
+      name={name}
+      value={value}
+      onChange={(event) => setValue(event.target.value)}
+    />
+  );
+};
+
+export const FormTextarea = ({ name, defaultValue = '', ...props }) => {
+  const [value, setValue] = useFieldValue(name, defaultValue);
+  return (
+    <textarea
+      {...props}
+      name={name}
+      value={value}
+      onChange={(event) => setValue(event.target.value)}
+    />
+  );
+};
+
+export const FormSelect = ({ name, defaultValue = '', children, ...props }) => {
+  const [value, setValue] = useFieldValue(name, defaultValue);
+  return (
+    <select
+      {...props}
+      name={name}
+      value={value}
+      onChange={(event) => setValue(event.target.value)}
+    >
+      {children}
+    </select>
+  );
+};
+
+export const FormCheckbox = ({ name, value, defaultChecked, ...props }) => {
+  const { checked, toggle } = useChoice(
+    'checkbox',
+    name,
+    value,
+    defaultChecked
+  );
+  return (
+    <input
+      {...props}
+      type="checkbox"
+      name={name}
+      value={value}
+      checked={checked}
+      onChange={toggle}
+    />
+  );
+};
+
+export const FormRadio = ({ name, value, defaultChecked, ...props }) => {
+  const { checked, toggle } = useChoice('radio', name, value, defaultChecked);
+  return (
+    <input
+      {...props}
+      type="radio"
+      name={name}
+      value={value}
+      checked={checked}
+      onChange={toggle}
+    />
+  );
+};
+
+// The `w-checkbox` / `w-radio` label. The input inside it reports whether it is checked.
+export const FormChoice = ({ children, ...props }) => {
+  const [checked, setChecked] = useState(false);
+  return (
+    <ChoiceContext.Provider value={{ checked, setChecked }}>
+      <label {...props}>{children}</label>
+    </ChoiceContext.Provider>
+  );
+};
+
+export const FormChoiceIndicator = ({ className = '', ...props }) => {
+  const choice = useContext(ChoiceContext);
+  return (
+    <div
+      {...props}
+      className={choice?.checked ? `${className} ${CHECKED_CLASS}` : className}
+    />
+  );
+};
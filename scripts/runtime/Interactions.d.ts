@@ -0,0 +1,26 @@
+// Interactions.d.ts (Types for runtime/Interactions.jsx, copied with TypeScript output)
+
+export interface InteractionStep {
+  target: { scope?: string; selector?: string };
+  delay: number;
+  duration: number;
+  easing: string;
+  styles?: Record<string, string | number>;
+  transforms?: Record<string, string>;
+}
+
+export interface InteractionTimeline {
+  initial?: InteractionStep[];
+  groups: InteractionStep[][];
+  offset?: string;
+}
+
+export interface Interaction {
+  element: string | null;
+  on: Record<string, InteractionTimeline[]>;
+}
+
+export declare function useInteractions(
+  interactions: readonly Interaction[],
+  enabled?: boolean
+): void;
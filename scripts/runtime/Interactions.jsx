@@ -0,0 +1,153 @@
+// Interactions.jsx (Runtime for translated Webflow IX2 interactions)
+// Copied as-is into the generated components directory by converter.js.
+import { useEffect } from 'react';
+
+// The transform parts of each element, so a move and a scale on the same element combine.
+const elementTransforms = new WeakMap();
+// The run currently playing on each trigger element; a new trigger cancels it.
+const runningTimelines = new WeakMap();
+
+const TRANSFORM_ORDER = ['move', 'rotate', 'scale', 'skew'];
+
+const toCssProperty = (name) =>
+  name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+
+function findTargets(triggerElement, { scope, selector }) {
+  if (scope === 'self') return [triggerElement];
+  if (scope === 'children')
+    return Array.from(triggerElement.querySelectorAll(selector));
+  if (scope === 'siblings')
+    return Array.from(triggerElement.parentNode?.children || []).filter(
+      (element) => element !== triggerElement && element.matches(selector)
+    );
+  if (scope === 'parent') {
+    const parent = triggerElement.parentElement?.closest(selector);
+    return parent ? [parent] : [];
+  }
+  return Array.from(document.querySelectorAll(selector));
+}
+
+// Transitions the targets of one step to its styles. `animate: false` applies them instantly.
+function applyStep(triggerElement, step, animate) {
+  const { styles = {}, transforms } = step;
+  findTargets(triggerElement, step.target).forEach((element) => {
+    const { display, ...animatedStyles } = styles;
+    const properties = Object.keys(animatedStyles).map(toCssProperty);
+    if (transforms) properties.push('transform');
+    element.style.transition = animate
+      ? properties
+          .map(
+            (property) =>
+              `${property} ${step.duration}ms ${step.easing} ${step.delay}ms`
+          )
+          .join(', ')
+      : 'none';
+    Object.assign(element.style, animatedStyles);
+    if (transforms) {
+      const parts = { ...elementTransforms.get(element), ...transforms };
+      elementTransforms.set(element, parts);
+      element.style.transform = TRANSFORM_ORDER.filter((part) => parts[part])
+        .map((part) => parts[part])
+        .join(' ');
+    }
+    if (display !== undefined) {
+      if (animate && step.delay > 0)
+        setTimeout(() => (element.style.display = display), step.delay);
+      else element.style.display = display;
+    }
+  });
+}
+
+// Plays the groups of a timeline one after another; the steps of a group run together.
+function playTimeline(triggerElement, timeline, run) {
+  const playGroup = (index) => {
+    if (runningTimelines.get(triggerElement) !== run) return;
+    const group = timeline.groups[index];
+    if (!group) return;
+    group.forEach((step) => applyStep(triggerElement, step, true));
+    const groupDuration = Math.max(
+      0,
+      ...group.map((step) => step.delay + step.duration)
+    );
+    setTimeout(() => playGroup(index + 1), groupDuration);
+  };
+  playGroup(0);
+}
+
+function bindInteraction(triggerElement, on) {
+  const play = (trigger) => {
+    const run = {};
+    runningTimelines.set(triggerElement, run);
+    (on[trigger] || []).forEach((timeline) =>
+      playTimeline(triggerElement, timeline, run)
+    );
+  };
+  const cleanups = [];
+  const listen = (target, type, listener) => {
+    target.addEventListener(type, listener);
+    cleanups.push(() => target.removeEventListener(type, listener));
+  };
+
+  Object.values(on)
+    .flat()
+    .forEach((timeline) =>
+      (timeline.initial || []).forEach((step) =>
+        applyStep(triggerElement, step, false)
+      )
+    );
+
+  if (on.click || on.secondClick) {
+    let clickCount = 0;
+    listen(triggerElement, 'click', () => {
+      clickCount++;
+      play(on.secondClick && clickCount % 2 === 0 ? 'secondClick' : 'click');
+    });
+  }
+  if (on.hoverIn) listen(triggerElement, 'mouseenter', () => play('hoverIn'));
+  if (on.hoverOut) listen(triggerElement, 'mouseleave', () => play('hoverOut'));
+  if (on.scrollIn || on.scrollOut) {
+    const offset = (on.scrollIn || on.scrollOut)[0].offset || '0px';
+    let wasInView = false;
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) play('scrollIn');
+        else if (wasInView) play('scrollOut');
+        wasInView = entry.isIntersecting;
+      },
+      { rootMargin: `0px 0px -${offset} 0px` }
+    );
+    observer.observe(triggerElement);
+    cleanups.push(() => observer.disconnect());
+  }
+  if (on.pageStart) play('pageStart');
+  if (on.pageLoad) {
+    if (document.readyState === 'complete') play('pageLoad');
+    else listen(window, 'load', () => play('pageLoad'));
+  }
+  return () => {
+    runningTimelines.delete(triggerElement);
+    cleanups.forEach((cleanup) => cleanup());
+  };
+}
+
+/**
+ * Plays the interactions the converter translated from the site's IX2 data. Each entry binds
+ * the triggers in `on` (click, secondClick, hoverIn, hoverOut, scrollIn, scrollOut, pageStart,
+ * pageLoad) to the elements matching `element` (the whole page when it is null) and plays
+ * the timelines as CSS transitions. A page rendered in more than one slot of the layout plays
+ * them from one of them only, and passes `enabled` false in the others.
+ */
+export function useInteractions(interactions, enabled = true) {
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const cleanups = interactions.flatMap(({ element, on }) => {
+      const triggerElements = element
+        ? Array.from(document.querySelectorAll(element))
+        : [document.documentElement];
+      return triggerElements.map((triggerElement) =>
+        bindInteraction(triggerElement, on)
+      );
+    });
+    return () => cleanups.forEach((cleanup) => cleanup());
+  }, [interactions, enabled]);
+}
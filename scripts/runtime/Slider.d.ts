@@ -0,0 +1,15 @@
+// Slider.d.ts (Types for runtime/Slider.jsx, copied with TypeScript output)
+import type { ComponentPropsWithoutRef, ReactElement } from 'react';
+
+export declare const Slider: (
+  props: ComponentPropsWithoutRef<'div'>
+) => ReactElement;
+export declare const SliderSlide: (
+  props: ComponentPropsWithoutRef<'div'>
+) => ReactElement;
+export declare const SliderArrow: (
+  props: ComponentPropsWithoutRef<'div'> & { direction: 'left' | 'right' }
+) => ReactElement;
+export declare const SliderNav: (
+  props: ComponentPropsWithoutRef<'div'>
+) => ReactElement;
@@ -0,0 +1,200 @@
+// Slider.jsx (Runtime for converted Webflow `w-slider` widgets)
+// Copied as-is into the generated components directory by converter.js.
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useState,
+} from 'react';
+
+const SliderContext = createContext(null);
+
+// The class webflow.js puts on the dot of the current slide.
+const ACTIVE_DOT_CLASS = 'w-active';
+
+const isTrue = (value) => String(value) === 'true';
+
+/**
+ * The `w-slider` wrapper. Like webflow.js it reads its settings from its own attributes:
+ * `data-autoplay`, `data-delay` (ms between slides), `data-autoplay-limit` (0 = no limit),
+ * `data-infinite`, `data-duration` (transition ms), `data-easing`, `data-animation`
+ * ("slide", or "fade"/"cross"/"outin", which all cross-fade) and `data-hide-arrows`.
+ */
+export const Slider = ({ children, ...props }) => {
+  const autoplay = isTrue(props['data-autoplay']);
+  const delay = Number(props['data-delay']) || 4000;
+  const autoplayLimit = Number(props['data-autoplay-limit']) || 0;
+  const infinite =
+    props['data-infinite'] === undefined || isTrue(props['data-infinite']);
+  const duration = Number(props['data-duration']) || 500;
+  const easing = props['data-easing'] || 'ease';
+  const animation = props['data-animation'] || 'slide';
+  const hideArrows = isTrue(props['data-hide-arrows']);
+
+  const rootRef = useRef(null);
+  const [slideCount, setSlideCount] = useState(0);
+  const [current, setCurrent] = useState(0);
+  const [autoplayCount, setAutoplayCount] = useState(0);
+
+  // Slides are counted from the DOM, so slides rendered by extracted components count too.
+  useLayoutEffect(() => {
+    const slides = rootRef.current?.querySelectorAll(
+      ':scope > .w-slider-mask > .w-slide'
+    );
+    setSlideCount(slides?.length || 0);
+  });
+
+  const goTo = useCallback(
+    (index) => {
+      if (slideCount === 0) return;
+      if (infinite) setCurrent((index + slideCount) % slideCount);
+      else setCurrent(Math.min(Math.max(index, 0), slideCount - 1));
+    },
+    [infinite, slideCount]
+  );
+
+  useEffect(() => {
+    if (!autoplay || slideCount < 2) return undefined;
+    if (autoplayLimit > 0 && autoplayCount >= autoplayLimit) return undefined;
+    if (!infinite && current === slideCount - 1) return undefined;
+    const timer = setTimeout(() => {
+      goTo(current + 1);
+      setAutoplayCount((count) => count + 1);
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [
+    autoplay,
+    autoplayCount,
+    autoplayLimit,
+    current,
+    delay,
+    goTo,
+    infinite,
+    slideCount,
+  ]);
+
+  const context = {
+    current,
+    slideCount,
+    goTo,
+    canGoBack: infinite || current > 0,
+    canGoForward: infinite || current < slideCount - 1,
+    hideArrows,
+    transition: `${duration}ms ${easing}`,
+    animation,
+  };
+  return (
+    <SliderContext.Provider value={context}>
+      <div
+        {...props}
+        ref={rootRef}
+        role="region"
+        aria-roledescription="carousel"
+      >
+        {children}
+      </div>
+    </SliderContext.Provider>
+  );
+};
+
+// A `w-slide`. Its position among the mask's slides is read from the DOM after mount.
+export const SliderSlide = ({ style, children, ...props }) => {
+  const { current, slideCount, transition, animation } =
+    useContext(SliderContext);
+  const slideRef = useRef(null);
+  const [index, setIndex] = useState(0);
+  useLayoutEffect(() => {
+    const siblings = Array.from(slideRef.current?.parentNode?.children || []);
+    setIndex(
+      siblings
+        .filter((element) => element.classList.contains('w-slide'))
+        .indexOf(slideRef.current)
+    );
+  });
+  const isActive = index === current;
+  const animationStyle =
+    animation === 'slide'
+      ? {
+          transform: `translateX(${-current * 100}%)`,
+          transition: `transform ${transition}`,
+        }
+      : {
+          transform: `translateX(${-index * 100}%)`,
+          opacity: isActive ? 1 : 0,
+          transition: `opacity ${transition}`,
+        };
+  return (
+    <div
+      {...props}
+      ref={slideRef}
+      style={{ ...style, ...animationStyle }}
+      role="group"
+      aria-roledescription="slide"
+      aria-label={`${index + 1} of ${slideCount}`}
+      aria-hidden={!isActive}
+    >
+      {children}
+    </div>
+  );
+};
+
+// `w-slider-arrow-left` / `w-slider-arrow-right`.
+export const SliderArrow = ({ direction, style, children, ...props }) => {
+  const { current, goTo, canGoBack, canGoForward, hideArrows } =
+    useContext(SliderContext);
+  const isLeft = direction === 'left';
+  const isEnabled = isLeft ? canGoBack : canGoForward;
+  const handleActivate = () => {
+    if (isEnabled) goTo(current + (isLeft ? -1 : 1));
+  };
+  return (
+    <div
+      {...props}
+      style={hideArrows && !isEnabled ? { ...style, display: 'none' } : style}
+      role="button"
+      tabIndex={0}
+      aria-label={isLeft ? 'previous slide' : 'next slide'}
+      aria-disabled={!isEnabled}
+      onClick={handleActivate}
+      onKeyDown={(event) => {
+        if (event.key !== 'Enter' && event.key !== ' ') return;
+        event.preventDefault();
+        handleActivate();
+      }}
+    >
+      {children}
+    </div>
+  );
+};
+
+// The `w-slider-nav`. webflow.js generates its dots at runtime, so they are rendered here.
+export const SliderNav = (props) => {
+  const { current, slideCount, goTo } = useContext(SliderContext);
+  return (
+    <div {...props}>
+      {Array.from({ length: slideCount }, (_, index) => (
+        <div
+          key={index}
+          className={
+            index === current
+              ? `w-slider-dot ${ACTIVE_DOT_CLASS}`
+              : 'w-slider-dot'
+          }
+          role="button"
+          tabIndex={0}
+          aria-label={`Show slide ${index + 1} of ${slideCount}`}
+          aria-pressed={index === current}
+          onClick={() => goTo(index)}
+          onKeyDown={(event) => {
+            if (event.key !== 'Enter' && event.key !== ' ') return;
+            event.preventDefault();
+            goTo(index);
+          }}
+        />
+      ))}
+    </div>
+  );
+};
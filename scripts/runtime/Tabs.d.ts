@@ -0,0 +1,21 @@
+// Tabs.d.ts (Types for runtime/Tabs.jsx, copied with TypeScript output)
+import type { ComponentPropsWithoutRef, ReactElement } from 'react';
+
+export interface TabsProps extends Omit<
+  ComponentPropsWithoutRef<'div'>,
+  'onChange'
+> {
+  defaultTab?: string;
+  onChange?: (tab: string) => void;
+}
+
+export declare const Tabs: (props: TabsProps) => ReactElement;
+export declare const TabMenu: (
+  props: ComponentPropsWithoutRef<'div'>
+) => ReactElement;
+export declare const TabLink: (
+  props: ComponentPropsWithoutRef<'a'> & { 'data-w-tab': string }
+) => ReactElement;
+export declare const TabPane: (
+  props: ComponentPropsWithoutRef<'div'> & { 'data-w-tab': string }
+) => ReactElement;
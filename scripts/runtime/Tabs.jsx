@@ -0,0 +1,120 @@
+// Tabs.jsx (Runtime for converted Webflow `w-tabs` widgets)
+// Copied as-is into the generated components directory by converter.js.
+import React, {
+  createContext,
+  useContext,
+  useId,
+  useRef,
+  useState,
+} from 'react';
+
+const TabsContext = createContext(null);
+
+// The classes webflow.js puts on the active tab link and pane.
+const CURRENT_LINK_CLASS = 'w--current';
+const ACTIVE_PANE_CLASS = 'w--tab-active';
+
+// Tab keys come from `data-w-tab` ("Tab 1"), which is not a valid id on its own.
+const toIdPart = (tab) => String(tab).replace(/[^A-Za-z0-9_-]+/g, '-');
+
+const withClass = (className, extraClass, enabled) =>
+  enabled ? `${className} ${extraClass}`.trim() : className;
+
+/**
+ * The `w-tabs` wrapper. The active tab is keyed by the `data-w-tab` value of its link and pane.
+ * `onChange` is called with the new key whenever the user switches tabs.
+ */
+export const Tabs = ({ defaultTab, onChange, children, ...props }) => {
+  const [activeTab, setActiveTab] = useState(defaultTab);
+  const baseId = useId();
+  const selectTab = (tab) => {
+    setActiveTab(tab);
+    if (onChange) onChange(tab);
+  };
+  return (
+    <TabsContext.Provider value={{ activeTab, selectTab, baseId }}>
+      <div {...props}>{children}</div>
+    </TabsContext.Provider>
+  );
+};
+
+// The `w-tab-menu`. Arrow keys, Home and End move between tabs, as in the WAI-ARIA tabs pattern.
+export const TabMenu = ({ children, ...props }) => {
+  const menuRef = useRef(null);
+  const handleKeyDown = (event) => {
+    const tabElements = Array.from(
+      menuRef.current?.querySelectorAll('[role="tab"]') || []
+    );
+    const currentIndex = tabElements.indexOf(document.activeElement);
+    if (currentIndex === -1) return;
+    let nextIndex;
+    if (event.key === 'ArrowRight' || event.key === 'ArrowDown')
+      nextIndex = (currentIndex + 1) % tabElements.length;
+    else if (event.key === 'ArrowLeft' || event.key === 'ArrowUp')
+      nextIndex = (currentIndex - 1 + tabElements.length) % tabElements.length;
+    else if (event.key === 'Home') nextIndex = 0;
+    else if (event.key === 'End') nextIndex = tabElements.length - 1;
+    else return;
+    event.preventDefault();
+    tabElements[nextIndex].focus();
+    tabElements[nextIndex].click();
+  };
+  return (
+    <div {...props} ref={menuRef} role="tablist" onKeyDown={handleKeyDown}>
+      {children}
+    </div>
+  );
+};
+
+// A `w-tab-link`. Its `data-w-tab` value selects the pane with the same value.
+export const TabLink = ({
+  'data-w-tab': tab,
+  className = '',
+  children,
+  ...props
+}) => {
+  const { activeTab, selectTab, baseId } = useContext(TabsContext);
+  const isActive = activeTab === tab;
+  return (
+    <a
+      id={`${baseId}-tab-${toIdPart(tab)}`}
+      {...props}
+      data-w-tab={tab}
+      className={withClass(className, CURRENT_LINK_CLASS, isActive)}
+      role="tab"
+      aria-selected={isActive}
+      aria-controls={`${baseId}-pane-${toIdPart(tab)}`}
+      tabIndex={isActive ? 0 : -1}
+      onClick={(event) => {
+        event.preventDefault();
+        selectTab(tab);
+      }}
+    >
+      {children}
+    </a>
+  );
+};
+
+// A `w-tab-pane`. Webflow's CSS only displays panes with the active class.
+export const TabPane = ({
+  'data-w-tab': tab,
+  className = '',
+  children,
+  ...props
+}) => {
+  const { activeTab, baseId } = useContext(TabsContext);
+  const isActive = activeTab === tab;
+  return (
+    <div
+      id={`${baseId}-pane-${toIdPart(tab)}`}
+      {...props}
+      data-w-tab={tab}
+      className={withClass(className, ACTIVE_PANE_CLASS, isActive)}
+      role="tabpanel"
+      aria-labelledby={`${baseId}-tab-${toIdPart(tab)}`}
+      hidden={!isActive}
+    >
+      {children}
+    </div>
+  );
+};
@@ -0,0 +1,241 @@
+// svg.js (SVGs as React icon components or as image files, see `svg.strategy`)
+import path from 'path';
+import crypto from 'crypto';
+import { render } from 'dom-serializer';
+import { run } from './run-context.js';
+import {
+  findNodes,
+  formatAndWriteFile,
+  getTextContent,
+  reportWarning,
+  styleStringToObject,
+  toJsxAttributeName,
+} from './converter.js';
+
+const SVG_STRATEGIES = ['img', 'component'];
+export const ICONS_OUTPUT_DIR_NAME = 'icons';
+
+// htmlparser2 lowercases names, but SVG tags are case-sensitive (attributes: JSX_ATTRIBUTE_NAMES).
+const SVG_TAG_NAMES = Object.fromEntries(
+  [
+    'animateMotion', 'animateTransform', 'clipPath', 'feBlend', 'feColorMatrix',
+    'feComponentTransfer', 'feComposite', 'feConvolveMatrix', 'feDiffuseLighting',
+    'feDisplacementMap', 'feDistantLight', 'feDropShadow', 'feFlood', 'feFuncA', 'feFuncB',
+    'feFuncG', 'feFuncR', 'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode',
+    'feMorphology', 'feOffset', 'fePointLight', 'feSpecularLighting', 'feSpotLight',
+    'feTile', 'feTurbulence', 'foreignObject', 'linearGradient', 'radialGradient', 'textPath',
+  ].map((name) => [name.toLowerCase(), name])
+);
+export function getSvgStrategy(config) {
+  const strategy = config.svg?.strategy || 'img';
+  if (!SVG_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Unknown svg.strategy "${strategy}". Expected one of: ${SVG_STRATEGIES.join(', ')}.`
+    );
+  }
+  return strategy;
+}
+
+// The SVG as JSX. Text is passed as string expressions, so CSS and `<`/`{` need no escaping.
+function svgNodeToJsx(node, isRoot = false) {
+  if (node.type === 'text')
+    return node.data.trim() ? `{${JSON.stringify(node.data)}}` : '';
+  if (node.type !== 'tag') return '';
+  const tagName = SVG_TAG_NAMES[node.name] || node.name;
+  const attributes = Object.entries(node.attribs || {}).map(([name, value]) => {
+    const jsxName = toJsxAttributeName(name);
+    return jsxName === 'style'
+      ? ` style={${JSON.stringify(styleStringToObject(value))}}`
+      : ` ${jsxName}={${JSON.stringify(String(value))}}`;
+  });
+  if (isRoot) {
+    // A titled icon is announced as an image; an untitled one is decorative.
+    const hasTitle = (node.children || []).some(
+      (child) => child.type === 'tag' && child.name === 'title'
+    );
+    if (hasTitle) attributes.push(' role="img"');
+    else if (!node.attribs?.['aria-label']) attributes.push(' aria-hidden="true"');
+    attributes.push(' {...props}');
+  }
+  const childrenJsx = (node.children || []).map((child) => svgNodeToJsx(child)).join('');
+  return childrenJsx
+    ? `<${tagName}${attributes.join('')}>${childrenJsx}</${tagName}>`
+    : `<${tagName}${attributes.join('')} />`;
+}
+
+// Words that say nothing about which icon it is, e.g. in `svg-icon` or `icon-embed`.
+const GENERIC_ICON_WORDS = /^(icon|icons|svg|embed|code|html|img|image|div|wrap|wrapper|block|container)$/i;
+
+const toIconWords = (text) =>
+  text
+    .split(/[^A-Za-z0-9]+/)
+    .filter((word) => word && !GENERIC_ICON_WORDS.test(word))
+    .slice(0, 4)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join('');
+
+// The visible text of a link or button, without the SVGs (and their <style>s) inside it.
+export const getLabelText = (node) =>
+  node.type === 'text'
+    ? node.data
+    : ['svg', 'style', 'script'].includes(node.name)
+      ? ''
+      : (node.children || []).map(getLabelText).join(' ');
+
+/**
+ * `IconSearch`, from the first of: the SVG's <title> or aria-label, its own classes, the text
+ * of the link or button it sits in, and the classes of its three closest ancestors.
+ */
+function getIconBaseName(svgNode, ancestors) {
+  const titleNode = (svgNode.children || []).find(
+    (child) => child.type === 'tag' && child.name === 'title'
+  );
+  const closestAncestors = ancestors.slice(-3).reverse();
+  const control = ancestors
+    .slice()
+    .reverse()
+    .find((node) => node.name === 'a' || node.name === 'button');
+  const classesOf = (node) =>
+    (node?.attribs?.class || '').split(/\s+/).filter((c) => c && !c.startsWith('w-'));
+  const candidates = [
+    titleNode ? getTextContent(titleNode) : null,
+    svgNode.attribs?.['aria-label'],
+    ...classesOf(svgNode),
+    control ? getLabelText(control) : null,
+    ...closestAncestors.flatMap(classesOf),
+  ];
+  for (const candidate of candidates) {
+    const words = candidate ? toIconWords(candidate) : '';
+    if (words && !/^[0-9]/.test(words)) return `Icon${words}`;
+  }
+  return 'Icon';
+}
+
+/**
+ * Gives every <svg> of the page an icon component (`node.iconComponent`), writing the ones
+ * not generated before to `<components>/icons`.
+ */
+async function prepareSvgIcons(bodyNode) {
+  const visit = async (node, ancestors) => {
+    if (node.type !== 'tag') return;
+    if (node.name !== 'svg') {
+      for (const child of node.children || []) await visit(child, [...ancestors, node]);
+      return;
+    }
+    const markup = render(node, { xmlMode: true });
+    const hash = crypto.createHash('md5').update(markup).digest('hex');
+    if (!run.globalIconComponents.has(hash)) {
+      const baseName = getIconBaseName(node, ancestors);
+      const nameTaken = (name) =>
+        run.globalNameUsage.has(name) ||
+        Array.from(run.globalIconComponents.values()).some((icon) => icon.name === name);
+      const name = nameTaken(baseName) ? `${baseName}_${hash.substring(0, 8)}` : baseName;
+      const filePath = path.join(
+        run.pathConfig.components,
+        ICONS_OUTPUT_DIR_NAME,
+        `${name}${run.SOURCE_EXTENSION}`
+      );
+      const propsType = run.TYPESCRIPT_ENABLED ? ': React.SVGProps<SVGSVGElement>' : '';
+      await run.fileSystem.ensureDir(path.join(run.COMPONENTS_OUTPUT_DIR, ICONS_OUTPUT_DIR_NAME));
+      await formatAndWriteFile(
+        path.join(run.REACT_OUTPUT_DIR, filePath),
+        `
+          import React from 'react';
+
+          const ${name} = (props${propsType}) => {
+            return (
+              ${svgNodeToJsx(node, true)}
+            );
+          };
+
+          export default ${name};
+        `
+      );
+      run.globalIconComponents.set(hash, { name, filePath });
+    }
+    node.iconComponent = run.globalIconComponents.get(hash).name;
+  };
+  await visit(bodyNode, []);
+}
+
+// The names of the icon components used in `rootNode`, see prepareSvgIcons.
+export function collectIconNames(rootNode) {
+  return Array.from(
+    new Set(findNodes(rootNode, (node) => node.iconComponent).map((node) => node.iconComponent))
+  ).sort();
+}
+
+// The alt text of an SVG rendered as an <img>: its <title> or aria-label, "" when it is
+// decorative, or else "icon".
+export function getSvgAltText(svgNode) {
+  const titleNode = (svgNode.children || []).find(
+    (child) => child.type === 'tag' && child.name === 'title'
+  );
+  if (titleNode && titleNode.children?.[0]?.type === 'text')
+    return titleNode.children[0].data.trim();
+  if (svgNode.attribs?.['aria-label']?.trim()) return svgNode.attribs['aria-label'].trim();
+  // Decorative: hidden in the export, or marked by accessibility.fix (see auditAccessibility).
+  if (svgNode.attribs?.['aria-hidden'] === 'true' || svgNode.decorative) return '';
+  return 'icon';
+}
+
+// Built-in plugins for the two svg.strategy values (see getDefaultPlugins).
+export const svgIconsPlugin = {
+  name: 'svg-icons',
+  async afterParse({ bodyNode }) {
+    await prepareSvgIcons(bodyNode);
+  },
+  transformNode(node) {
+    if (node.name === 'svg' && !node.jsxOverride?.tagName && node.iconComponent)
+      return `<${node.iconComponent} />`;
+    return undefined;
+  },
+};
+
+/**
+ * Saves every <svg> of the page to `public/svgs/icon-<hash>.svg` and records the URL it is
+ * served from (`node.svgImageSrc`). The SVG's attributes are as astNodeToJsx renders them.
+ */
+async function prepareSvgImages(bodyNode) {
+  const visit = async (node) => {
+    if (node.type !== 'tag') return;
+    if (node.name !== 'svg') {
+      for (const child of node.children || []) await visit(child);
+      return;
+    }
+    try {
+      const { viewbox, ...attribs } = node.attribs || {};
+      const svgString = render(
+        { ...node, attribs: viewbox === undefined ? attribs : { ...attribs, viewBox: viewbox } },
+        { xmlMode: true }
+      );
+      const hash = crypto.createHash('md5').update(svgString).digest('hex');
+      const svgFilename = `icon-${hash}.svg`;
+      const svgDiskPath = path.join(run.SVGS_OUTPUT_DIR, svgFilename);
+      try {
+        await run.fileSystem.outputFile(svgDiskPath, svgString);
+      } catch (err) {
+        reportWarning('svg', `Error writing SVG file: ${svgDiskPath}: ${err.message}`);
+      }
+      node.svgImageSrc = `/${path.join(run.pathConfig.svgs, svgFilename).replace(/\\/g, '/')}`;
+    } catch (e) {
+      reportWarning(
+        'svg',
+        `Could not extract a static SVG, so it is rendered inline: ${e.message}`
+      );
+    }
+  };
+  await visit(bodyNode);
+}
+
+// Renders each SVG saved by prepareSvgImages as an <img> pointing at its file.
+export const svgImagesPlugin = {
+  name: 'svg-images',
+  async afterParse({ bodyNode }) {
+    await prepareSvgImages(bodyNode);
+  },
+  transformNode(node) {
+    if (node.name !== 'svg' || node.jsxOverride?.tagName || !node.svgImageSrc) return undefined;
+    return `<img src="${node.svgImageSrc}" alt={${JSON.stringify(getSvgAltText(node))}} />`;
+  },
+};
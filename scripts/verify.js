@@ -0,0 +1,489 @@
+// verify.js (Round-trip verification, `webflow2react verify`)
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import { loadConfig } from './config.js';
+import { parseHtml } from './index.js';
+import { run } from './run-context.js';
+import {
+  BOOLEAN_ATTRIBUTES,
+  BOOLEANISH_ATTRIBUTES,
+  findDocumentNodes,
+  getLinkedPageName,
+  getRoutePath,
+  getStateFilePath,
+  hasClass,
+  loadState,
+  runExclusive,
+  startRun,
+  toJsxAttributeValue,
+} from './converter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+// Each generated page is rendered with react-dom/server and compared with the <body> of its
+// Webflow page. Both sides are normalised first, so only unintended changes are reported.
+const VERIFY_DROPPED_TAGS = new Set(['script', 'style', 'link', 'meta', 'title', 'noscript']);
+// Attributes the conversion adds, by the element (`.class` or tag) it adds them to. They are
+// compared only when the original has them too; any other attribute the output adds is reported.
+const VERIFY_ADDED_ATTRIBUTES = [
+  // The runtime components (scripts/runtime).
+  ['.w-tab-menu', ['role']],
+  ['.w-tab-link', ['id', 'role', 'aria-selected', 'aria-controls', 'tabindex']],
+  ['.w-tab-pane', ['id', 'role', 'aria-labelledby', 'hidden']],
+  ['.w-dropdown-toggle', ['role', 'tabindex', 'aria-haspopup', 'aria-expanded']],
+  ['.w-slider', ['role', 'aria-roledescription']],
+  ['.w-slide', ['role', 'aria-roledescription', 'aria-label', 'aria-hidden']],
+  ['.w-slider-arrow-left', ['role', 'tabindex', 'aria-label', 'aria-disabled']],
+  ['.w-slider-arrow-right', ['role', 'tabindex', 'aria-label', 'aria-disabled']],
+  ['.w-slider-dot', ['role', 'tabindex', 'aria-label', 'aria-pressed']],
+  // Controlled fields render their value, and React marks the selected option of a <select>.
+  ['input', ['value', 'id', 'aria-label']],
+  ['option', ['selected']],
+  // Router links, and the fixes of accessibility.fix (see auditAccessibility).
+  ['a', ['data-discover', 'aria-current', 'aria-label']],
+  ['button', ['aria-label']],
+  ['img', ['alt']],
+  ['select', ['id', 'aria-label']],
+  ['textarea', ['id', 'aria-label']],
+  ['label', ['for']],
+];
+// Dropped on purpose by prepareForms.
+const VERIFY_DROPPED_ATTRIBUTES = new Set(['data-wf-page-id', 'data-wf-element-id']);
+// Only rendered once a form was submitted.
+const VERIFY_DROPPED_CLASSES = ['w-form-done', 'w-form-fail'];
+// Set from component state after mounting, which server rendering does not run.
+const VERIFY_STATE_CLASSES = new Set(['w--redirected-checked']);
+const VERIFY_URL_ATTRIBUTES = new Set(['href', 'src', 'poster', 'data-src']);
+const MAX_PRINTED_DIFFERENCES = 5;
+
+// Links become routes (`about.html` -> `/about`) and assets site-root paths (`../images/x.png`
+// -> `/images/x.png`), so URLs are compared without those differences.
+function normalizeVerifyUrl(name, value) {
+  if (/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(value)) return value;
+  const linkedPageName = name === 'href' && getLinkedPageName(value);
+  if (linkedPageName) {
+    const suffix = value.slice(value.match(/^[^?#]*/)[0].length);
+    return `${getRoutePath(linkedPageName)}${suffix}`.replace(/^\/+/, '');
+  }
+  let url = value.replace(/^(\.\.?\/)+/, '').replace(/^\/+/, '');
+  if (name === 'href') url = url.replace(/\.html?(?=$|[?#])/, '').replace(/^index(?=$|[?#])/, '');
+  return url;
+}
+
+function normalizeVerifyAttribute(name, value) {
+  const text = String(value ?? '');
+  // `checked="checked"` is rendered as `checked=""`, `contenteditable=""` as `"true"`.
+  if (BOOLEAN_ATTRIBUTES.has(name)) return '';
+  if (BOOLEANISH_ATTRIBUTES.has(name)) return String(toJsxAttributeValue(name, text));
+  if (name === 'class')
+    return text
+      .split(/\s+/)
+      .filter((className) => className && !VERIFY_STATE_CLASSES.has(className))
+      .sort()
+      .join(' ');
+  if (name === 'style')
+    return text
+      .split(';')
+      .map((declaration) => declaration.split(':'))
+      .filter(([property, ...rest]) => property.trim() && rest.length > 0)
+      .map(([property, ...rest]) =>
+        `${property.trim().toLowerCase()}:${rest.join(':').trim().replace(/\s+/g, ' ')}`
+      )
+      .sort()
+      .join(';');
+  if (VERIFY_URL_ATTRIBUTES.has(name)) return normalizeVerifyUrl(name, text);
+  return text;
+}
+
+/**
+ * Reduces an AST node to what the comparison looks at: `{ tag, attributes, children }` or
+ * `{ text }`. Comments, whitespace and the tags the converter drops or moves (scripts, styles,
+ * head tags) are left out, and every SVG, inline or turned into an <img>, is one `#svg` leaf.
+ */
+function normalizeVerifyNode(node) {
+  if (node.type === 'text') {
+    const text = node.data.replace(/\s+/g, ' ').trim();
+    return text ? { text } : null;
+  }
+  if (node.type !== 'tag' || VERIFY_DROPPED_TAGS.has(node.name)) return null;
+  if (VERIFY_DROPPED_CLASSES.some((className) => hasClass(node, className))) return null;
+  const isSvgImage =
+    node.name === 'img' && (node.attribs?.src || '').includes(`/${run.pathConfig.svgs}/icon-`);
+  if (node.name === 'svg' || isSvgImage) return { tag: '#svg', attributes: {}, children: [] };
+  const attributes = {};
+  Object.entries(node.attribs || {}).forEach(([name, value]) => {
+    if (VERIFY_DROPPED_ATTRIBUTES.has(name)) return;
+    // Only a <label> uses `for`; accessibility.fix removes it from other elements and fills in
+    // an empty one.
+    if (name === 'for' && (node.name !== 'label' || !value)) return;
+    attributes[name] = normalizeVerifyAttribute(name, value);
+  });
+  const children = [];
+  (node.children || []).forEach((child) => {
+    const normalizedChild = normalizeVerifyNode(child);
+    if (!normalizedChild) return;
+    const previous = children[children.length - 1];
+    // React and the export split text differently, e.g. around comments.
+    if (normalizedChild.text && previous?.text) previous.text += ` ${normalizedChild.text}`;
+    else children.push(normalizedChild);
+  });
+  return { tag: node.name, attributes, children };
+}
+
+function isAddedVerifyAttribute(node, name) {
+  const classNames = (node.attributes.class || '').split(' ');
+  return VERIFY_ADDED_ATTRIBUTES.some(
+    ([selector, names]) =>
+      names.includes(name) &&
+      (selector.startsWith('.') ? classNames.includes(selector.slice(1)) : node.tag === selector)
+  );
+}
+
+function countVerifyNodes(node) {
+  return 1 + (node.children || []).reduce((sum, child) => sum + countVerifyNodes(child), 0);
+}
+
+// Text as printed: quoted, and shortened to 60 characters.
+function quoteVerifyText(text) {
+  return JSON.stringify(text.length > 60 ? `${text.slice(0, 57)}...` : text);
+}
+
+function describeVerifyNode(node) {
+  if (node.text !== undefined) return quoteVerifyText(node.text);
+  return node.attributes.class ? `<${node.tag} class="${node.attributes.class}">` : `<${node.tag}>`;
+}
+
+// The printed line of a difference, values first, as the paths can be long. An attribute that
+// is missing on one side is printed as `(none)`.
+function describeVerifyDifference(difference) {
+  const location = difference.path || 'body';
+  const quote = (value) => (value == null ? '(none)' : quoteVerifyText(value));
+  const values = `expected ${quote(difference.expected)}, got ${quote(difference.actual)}`;
+  switch (difference.type) {
+    case 'attribute':
+      return `attribute ${difference.attribute}: ${values} at ${location}`;
+    case 'text':
+      return `text: ${values} at ${location}`;
+    case 'tag':
+      return `tag: expected <${difference.expected}>, got <${difference.actual}> at ${location}`;
+    case 'missing':
+      return `missing ${difference.expected} at ${location}`;
+    case 'extra':
+      return `extra ${difference.actual} at ${location}`;
+    default:
+      return `moved ${difference.expected} from ${location} to ${difference.movedTo}`;
+  }
+}
+
+function getVerifyPathStep(node, index) {
+  if (node.text !== undefined) return `#text:nth-child(${index + 1})`;
+  const classes = (node.attributes.class || '').split(' ').filter(Boolean);
+  return `${node.tag}${classes.map((className) => `.${className}`).join('')}:nth-child(${index + 1})`;
+}
+
+// makeUniqueFieldKeys gives duplicated field names and radio values a suffix (`email-2`).
+const isRenamedFieldKey = (name, expectedValue, actualValue) =>
+  (name === 'name' || name === 'value') &&
+  typeof expectedValue === 'string' &&
+  typeof actualValue === 'string' &&
+  actualValue.startsWith(`${expectedValue}-`) &&
+  /^\d+$/.test(actualValue.slice(expectedValue.length + 1));
+
+const getVerifyKey = (node) =>
+  node.text !== undefined ? '#text' : `${node.tag}.${node.attributes.class || ''}`;
+
+// The longest common subsequence of the two child lists, compared by tag and class.
+function alignVerifyChildren(expected, actual) {
+  const lengths = Array.from({ length: expected.length + 1 }, () =>
+    new Array(actual.length + 1).fill(0)
+  );
+  for (let i = expected.length - 1; i >= 0; i--)
+    for (let j = actual.length - 1; j >= 0; j--)
+      lengths[i][j] =
+        getVerifyKey(expected[i]) === getVerifyKey(actual[j])
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < expected.length && j < actual.length) {
+    if (getVerifyKey(expected[i]) === getVerifyKey(actual[j])) pairs.push([i++, j++]);
+    else if (lengths[i + 1][j] >= lengths[i][j + 1]) i++;
+    else j++;
+  }
+  return pairs;
+}
+
+/**
+ * Compares two normalised nodes that take the same place, adding their differences to
+ * `result`. A node counts as matched when its tag, attributes or text are the same.
+ */
+function compareVerifyNodes(expected, actual, nodePath, result) {
+  if (expected.text !== undefined || actual.text !== undefined) {
+    if (expected.text === actual.text) result.matched++;
+    else
+      result.differences.push({
+        type: 'text',
+        path: nodePath,
+        expected: expected.text ?? describeVerifyNode(expected),
+        actual: actual.text ?? describeVerifyNode(actual),
+      });
+    return;
+  }
+  const attributeNames = new Set([
+    ...Object.keys(expected.attributes),
+    ...Object.keys(actual.attributes).filter((name) => !isAddedVerifyAttribute(actual, name)),
+  ]);
+  const attributeDifferences = Array.from(attributeNames)
+    .sort()
+    .filter(
+      (name) =>
+        expected.attributes[name] !== actual.attributes[name] &&
+        !isRenamedFieldKey(name, expected.attributes[name], actual.attributes[name])
+    )
+    .map((name) => ({
+      type: 'attribute',
+      path: nodePath,
+      attribute: name,
+      expected: expected.attributes[name] ?? null,
+      actual: actual.attributes[name] ?? null,
+    }));
+  if (expected.tag !== actual.tag)
+    result.differences.push({ type: 'tag', path: nodePath, expected: expected.tag, actual: actual.tag });
+  else if (attributeDifferences.length === 0) result.matched++;
+  result.differences.push(...attributeDifferences);
+  compareVerifyChildren(expected.children, actual.children, nodePath, result);
+}
+
+// Children left between two aligned pairs are compared in order when their tags agree,
+// e.g. an element whose class changed; the others were dropped or added by the conversion.
+function compareVerifyChildren(expected, actual, parentPath, result) {
+  const childPath = (node, index) =>
+    parentPath ? `${parentPath} > ${getVerifyPathStep(node, index)}` : getVerifyPathStep(node, index);
+  const compareGap = (expectedIndexes, actualIndexes) => {
+    const unmatchedActual = [...actualIndexes];
+    expectedIndexes.forEach((i) => {
+      const position = unmatchedActual.findIndex(
+        (j) => (actual[j].tag ?? '#text') === (expected[i].tag ?? '#text')
+      );
+      if (position === -1) {
+        const difference = {
+          type: 'missing',
+          path: childPath(expected[i], i),
+          expected: describeVerifyNode(expected[i]),
+        };
+        result.differences.push(difference);
+        result.unplaced.push({ difference, node: expected[i] });
+        return;
+      }
+      const [j] = unmatchedActual.splice(0, position + 1).slice(-1);
+      compareVerifyNodes(expected[i], actual[j], childPath(expected[i], i), result);
+    });
+    unmatchedActual.forEach((j) => {
+      const difference = {
+        type: 'extra',
+        path: childPath(actual[j], j),
+        actual: describeVerifyNode(actual[j]),
+      };
+      result.differences.push(difference);
+      result.unplaced.push({ difference, node: actual[j] });
+    });
+  };
+  const range = (from, to) => Array.from({ length: Math.max(to - from, 0) }, (_, k) => from + k);
+  let previousI = -1;
+  let previousJ = -1;
+  for (const [i, j] of [...alignVerifyChildren(expected, actual), [expected.length, actual.length]]) {
+    compareGap(range(previousI + 1, i), range(previousJ + 1, j));
+    if (i < expected.length) compareVerifyNodes(expected[i], actual[j], childPath(expected[i], i), result);
+    previousI = i;
+    previousJ = j;
+  }
+}
+
+/**
+ * Compares the children of the original <body> with the rendered markup. The score is the
+ * share of nodes on both sides that matched: 1 when nothing but the intended changes differ.
+ */
+function diffRenderedPage(bodyNode, renderedHtml) {
+  const expected = normalizeVerifyNode(bodyNode);
+  const actual = normalizeVerifyNode({
+    type: 'tag',
+    name: 'body',
+    attribs: {},
+    children: parseHtml(renderedHtml).children,
+  });
+  const result = { matched: 0, differences: [], unplaced: [] };
+  compareVerifyChildren(expected.children, actual.children, '', result);
+  // An element missing in one place and extra in another with the same tag and class was
+  // moved. Its contents are still compared.
+  const movedExtras = new Set();
+  result.unplaced
+    .filter(({ difference }) => difference.type === 'missing')
+    .forEach((missing) => {
+      const extra = result.unplaced.find(
+        (entry) =>
+          entry.difference.type === 'extra' &&
+          !movedExtras.has(entry) &&
+          getVerifyKey(entry.node) === getVerifyKey(missing.node)
+      );
+      if (!extra) return;
+      movedExtras.add(extra);
+      Object.assign(missing.difference, { type: 'moved', movedTo: extra.difference.path });
+      compareVerifyNodes(missing.node, extra.node, missing.difference.path, result);
+    });
+  result.differences = result.differences.filter(
+    (difference) => !Array.from(movedExtras).some((extra) => extra.difference === difference)
+  );
+  const nodeCount =
+    countVerifyNodes(expected) - 1 + (countVerifyNodes(actual) - 1);
+  return {
+    score: nodeCount === 0 ? 1 : Math.round(((2 * result.matched) / nodeCount) * 10000) / 10000,
+    differences: result.differences,
+  };
+}
+
+// Bundles a generated page (and the layout its route renders it in) into a CommonJS module.
+// React and the other packages stay external, so they are shared with the renderer.
+async function bundleGeneratedPage(esbuild, pageFile, layoutFile) {
+  const toImportPath = (filePath) =>
+    `./${path.relative(run.REACT_OUTPUT_DIR, filePath).replace(/\\/g, '/')}`;
+  const { outputFiles } = await esbuild.build({
+    stdin: {
+      contents: [
+        `export { default as Page } from '${toImportPath(pageFile)}';`,
+        layoutFile ? `export { default as Layout } from '${toImportPath(layoutFile)}';` : '',
+      ].join('\n'),
+      resolveDir: run.REACT_OUTPUT_DIR,
+      loader: 'js',
+    },
+    bundle: true,
+    write: false,
+    platform: 'node',
+    format: 'cjs',
+    packages: 'external',
+    loader: { '.js': 'jsx', '.css': 'empty' },
+    logLevel: 'silent',
+  });
+  const pageModule = { exports: {} };
+  new Function('module', 'exports', 'require', outputFiles[0].text)(
+    pageModule,
+    pageModule.exports,
+    createRequire(__filename)
+  );
+  return pageModule.exports;
+}
+
+// Renders a page the way its route does: in the layout route's <Outlet />s, if it has one,
+// with a router.
+function renderGeneratedPage(react, pageName, { Page, Layout }) {
+  const { createElement } = react.React;
+  const routePath = getRoutePath(pageName);
+  if (!run.ROUTING_ENABLED) return react.renderToStaticMarkup(createElement(Page));
+  const { MemoryRouter, Routes, Route } = react.router;
+  const pageRoute = createElement(Route, { path: routePath, element: createElement(Page) });
+  return react.renderToStaticMarkup(
+    createElement(
+      MemoryRouter,
+      { initialEntries: [routePath] },
+      createElement(
+        Routes,
+        null,
+        Layout ? createElement(Route, { element: createElement(Layout) }, pageRoute) : pageRoute
+      )
+    )
+  );
+}
+
+/**
+ * Renders every page of the last conversion and compares it with its Webflow page. Writes
+ * the scores and differences to `verify.report` and returns them; a page that cannot be
+ * rendered, or scores below `verify.minScore`, is a failure.
+ */
+async function verifyGeneratedPages() {
+  if (!(await run.fileSystem.pathExists(getStateFilePath())))
+    throw new Error(`No conversion found in ${run.REACT_OUTPUT_DIR}. Run convert or build first.`);
+  await loadState();
+  const esbuild = await import('esbuild');
+  const requireFromConverter = createRequire(__filename);
+  const react = {
+    React: requireFromConverter('react'),
+    renderToStaticMarkup: requireFromConverter('react-dom/server').renderToStaticMarkup,
+    router: requireFromConverter('react-router-dom'),
+  };
+  const results = [];
+  const failures = [];
+  for (const [pageName, record] of Array.from(run.globalPageRecords.entries()).sort()) {
+    const pageResult = { page: pageName, file: record.pageFile, score: 0, differences: [] };
+    try {
+      const { bodyNode } = findDocumentNodes(
+        await run.fileSystem.readJson(path.join(run.INPUT_ASTS_DIR, `${pageName}_ast.json`))
+      );
+      const layoutFile =
+        record.layout && run.globalLayoutRecord && run.ROUTING_ENABLED
+          ? path.join(run.REACT_OUTPUT_DIR, run.globalLayoutRecord.file)
+          : null;
+      const pageModule = await bundleGeneratedPage(
+        esbuild,
+        path.join(run.PAGES_OUTPUT_DIR, record.pageFile),
+        layoutFile
+      );
+      Object.assign(
+        pageResult,
+        diffRenderedPage(bodyNode, renderGeneratedPage(react, pageName, pageModule))
+      );
+      if (pageResult.score < run.VERIFY.minScore)
+        failures.push({
+          page: pageName,
+          error: `Fidelity ${(pageResult.score * 100).toFixed(1)}% is below verify.minScore.`,
+        });
+    } catch (error) {
+      pageResult.error = error.errors?.[0]?.text ?? error.message;
+      failures.push({ page: pageName, error: `Could not render: ${pageResult.error}` });
+    }
+    results.push(pageResult);
+    run.logger.log(
+      pageResult.error
+        ? `${pageName}: could not render (${pageResult.error})`
+        : `${pageName}: ${(pageResult.score * 100).toFixed(1)}% (${pageResult.differences.length} differences)`
+    );
+    pageResult.differences.slice(0, MAX_PRINTED_DIFFERENCES).forEach((difference) =>
+      run.logger.log(`  - ${describeVerifyDifference(difference)}`)
+    );
+  }
+  const renderedResults = results.filter((result) => !result.error);
+  const report = {
+    summary: {
+      pages: results.length,
+      failed: failures.length,
+      averageScore:
+        renderedResults.length === 0
+          ? null
+          : Math.round(
+              (renderedResults.reduce((sum, result) => sum + result.score, 0) /
+                renderedResults.length) *
+                10000
+            ) / 10000,
+      minScore: run.VERIFY.minScore,
+    },
+    pages: results,
+  };
+  if (run.VERIFY.report)
+    await run.fileSystem.outputJson(path.join(run.REACT_OUTPUT_DIR, run.VERIFY.report), report, {
+      spaces: 2,
+    });
+  return {
+    pages: results.filter((result) => !failures.some(({ page }) => page === result.page)).map(
+      (result) => result.page
+    ),
+    failures,
+    report,
+  };
+}
+
+// Verifies the output of the last convert or build run, see verifyGeneratedPages.
+export function verify(loadedConfig, options) {
+  return runExclusive(() =>
+    startRun(loadedConfig ?? loadConfig(), options, verifyGeneratedPages)
+  );
+}
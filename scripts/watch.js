@@ -0,0 +1,126 @@
+// watch.js (Watch mode: re-parse and regenerate only the pages whose HTML changed)
+import fs from 'fs-extra';
+import path from 'path';
+import { processHtmlFile, processHtmlFiles, getAstFilePath } from './index.js';
+import { main as convertAsts, updatePages, hasSavedState } from './converter.js';
+
+// Editors and Webflow exports often write a file in several steps, so events are batched.
+const DEBOUNCE_MS = 300;
+
+function isHtmlFile(fileName) {
+  return path.extname(fileName).toLowerCase() === '.html';
+}
+
+function pageNameOf(fileName) {
+  return path.basename(fileName, path.extname(fileName));
+}
+
+function logUpdateSummary({ pages, skipped, removed, removedComponents, failures }) {
+  console.log(
+    `\n[watch] ${pages.length} regenerated, ${skipped.length} unchanged, ${removed.length} removed, ${removedComponents.length} unused components removed, ${failures.length} failed.`
+  );
+  failures.forEach(({ page, error }) => console.error(`  - ${page}: ${error}`));
+}
+
+// Re-parses the given HTML files (or deletes the ASTs of removed ones) and regenerates their pages.
+async function syncPages(config, fileNames) {
+  const changed = [];
+  const removed = [];
+  const failures = [];
+  for (const fileName of fileNames) {
+    const pageName = pageNameOf(fileName);
+    const htmlFilePath = path.join(config.paths.htmlInput, fileName);
+    if (await fs.pathExists(htmlFilePath)) {
+      try {
+        await processHtmlFile(htmlFilePath, config.paths.asts);
+        console.log(`Re-parsed ${fileName}`);
+        changed.push(pageName);
+      } catch (error) {
+        console.error(`Failed to parse ${fileName}: ${error.message}`);
+        failures.push({ page: pageName, error: error.message });
+      }
+    } else {
+      await fs.remove(getAstFilePath(config.paths.asts, pageName));
+      removed.push(pageName);
+    }
+  }
+  const result = await updatePages({ changed, removed }, config);
+  result.failures.push(...failures);
+  logUpdateSummary(result);
+}
+
+// Finds HTML files that are newer than their AST, plus ASTs whose HTML file is gone.
+async function findStaleFiles(config) {
+  const stale = [];
+  const htmlFiles = (await fs.readdir(config.paths.htmlInput)).filter(isHtmlFile);
+  for (const htmlFile of htmlFiles) {
+    const astFilePath = getAstFilePath(config.paths.asts, pageNameOf(htmlFile));
+    if (!(await fs.pathExists(astFilePath))) {
+      stale.push(htmlFile);
+      continue;
+    }
+    const [htmlStat, astStat] = await Promise.all([
+      fs.stat(path.join(config.paths.htmlInput, htmlFile)),
+      fs.stat(astFilePath),
+    ]);
+    if (htmlStat.mtimeMs > astStat.mtimeMs) stale.push(htmlFile);
+  }
+  const htmlPageNames = new Set(htmlFiles.map(pageNameOf));
+  const astFiles = (await fs.pathExists(config.paths.asts))
+    ? await fs.readdir(config.paths.asts)
+    : [];
+  astFiles
+    .filter((astFile) => astFile.endsWith('_ast.json'))
+    .map((astFile) => path.basename(astFile, '_ast.json'))
+    .filter((pageName) => !htmlPageNames.has(pageName))
+    .forEach((pageName) => stale.push(`${pageName}.html`));
+  return stale;
+}
+
+/**
+ * Watches `paths.htmlInput` and regenerates the affected pages on every change.
+ * Without a saved state from a previous run, a full build is done first.
+ * Resolves when the watcher is closed (SIGINT/SIGTERM).
+ */
+export async function watch(config) {
+  if (await hasSavedState(config)) {
+    const stale = await findStaleFiles(config);
+    console.log(`[watch] Resuming from saved state, ${stale.length} file(s) changed since the last run.`);
+    if (stale.length > 0) await syncPages(config, stale);
+  } else {
+    console.log('[watch] No saved state found, running a full build first.');
+    await processHtmlFiles(config.paths.htmlInput, config.paths.asts);
+    await convertAsts(config);
+  }
+
+  const pending = new Set();
+  let debounceTimer = null;
+  // Runs are chained so two batches never write the output at the same time.
+  let queue = Promise.resolve();
+
+  const flush = () => {
+    const fileNames = Array.from(pending);
+    pending.clear();
+    queue = queue
+      .then(() => syncPages(config, fileNames))
+      .catch((error) => console.error(`[watch] ${error.message}`));
+  };
+
+  const watcher = fs.watch(config.paths.htmlInput, (eventType, fileName) => {
+    if (!fileName || !isHtmlFile(fileName)) return;
+    pending.add(fileName);
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(flush, DEBOUNCE_MS);
+  });
+  console.log(`\n[watch] Watching ${config.paths.htmlInput} for changes. Press Ctrl+C to stop.`);
+
+  await new Promise((resolve) => {
+    const stop = () => {
+      clearTimeout(debounceTimer);
+      watcher.close();
+      queue.then(resolve);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+}
@@ -0,0 +1,124 @@
+// widgets.js (Webflow tabs, dropdowns and sliders recognition)
+import { findNodes, hasClass } from './converter.js';
+
+// --- Webflow tabs (`w-tabs`) recognition ---
+// Like findNodes, but does not descend into nested widgets of the same kind.
+function findWidgetParts(widgetNode, widgetClass, criteriaFn) {
+  const found = [];
+  const traverse = (node) => {
+    if (node !== widgetNode && hasClass(node, widgetClass)) return;
+    if (criteriaFn(node)) found.push(node);
+    (node.children || []).forEach(traverse);
+  };
+  traverse(widgetNode);
+  return found;
+}
+
+export function removeClass(node, className) {
+  if (!hasClass(node, className)) return;
+  node.attribs.class = node.attribs.class
+    .split(/\s+/)
+    .filter((c) => c !== className)
+    .join(' ');
+}
+
+/**
+ * Marks every `w-tabs` widget for conversion to runtime/Tabs.jsx. The default tab is the
+ * link exported with `w--current` (or the pane with `w--tab-active`); those classes are then
+ * removed from the markup because the runtime applies them from state.
+ */
+export function prepareTabs(bodyNode) {
+  findNodes(
+    bodyNode,
+    (node) => node.type === 'tag' && hasClass(node, 'w-tabs')
+  ).forEach((tabsNode) => {
+    const isPart = (className) => (node) =>
+      node.type === 'tag' && hasClass(node, className);
+    const menus = findWidgetParts(tabsNode, 'w-tabs', isPart('w-tab-menu'));
+    const links = findWidgetParts(tabsNode, 'w-tabs', isPart('w-tab-link'))
+      .filter((link) => link.attribs['data-w-tab'] !== undefined);
+    const panes = findWidgetParts(tabsNode, 'w-tabs', isPart('w-tab-pane'))
+      .filter((pane) => pane.attribs['data-w-tab'] !== undefined);
+    if (links.length === 0) return;
+
+    const defaultTab =
+      links.find((link) => hasClass(link, 'w--current'))?.attribs['data-w-tab'] ??
+      panes.find((pane) => hasClass(pane, 'w--tab-active'))?.attribs['data-w-tab'] ??
+      tabsNode.attribs['data-current'] ??
+      links[0].attribs['data-w-tab'];
+
+    tabsNode.jsxOverride = { tagName: 'Tabs', extraAttributes: { defaultTab } };
+    menus.forEach((menu) => (menu.jsxOverride = { tagName: 'TabMenu' }));
+    links.forEach((link) => {
+      removeClass(link, 'w--current');
+      link.jsxOverride = { tagName: 'TabLink' };
+    });
+    panes.forEach((pane) => {
+      removeClass(pane, 'w--tab-active');
+      pane.jsxOverride = { tagName: 'TabPane' };
+    });
+  });
+}
+
+// --- Webflow dropdowns (`w-dropdown`) recognition ---
+/**
+ * Marks every `w-dropdown` widget for conversion to runtime/Dropdown.jsx. `data-hover` and
+ * `data-delay` stay on the wrapper, where the runtime reads them; exported `w--open` classes
+ * are removed because the runtime applies them from state.
+ */
+export function prepareDropdowns(bodyNode) {
+  findNodes(
+    bodyNode,
+    (node) => node.type === 'tag' && hasClass(node, 'w-dropdown')
+  ).forEach((dropdownNode) => {
+    const isPart = (className) => (node) =>
+      node.type === 'tag' && hasClass(node, className);
+    const toggles = findWidgetParts(dropdownNode, 'w-dropdown', isPart('w-dropdown-toggle'));
+    const lists = findWidgetParts(dropdownNode, 'w-dropdown', isPart('w-dropdown-list'));
+    if (toggles.length === 0 || lists.length === 0) return;
+
+    dropdownNode.jsxOverride = { tagName: 'Dropdown' };
+    toggles.forEach((toggle) => {
+      removeClass(toggle, 'w--open');
+      toggle.jsxOverride = { tagName: 'DropdownToggle' };
+    });
+    lists.forEach((list) => {
+      removeClass(list, 'w--open');
+      list.jsxOverride = {
+        tagName: 'DropdownList',
+        extraAttributes: list.name === 'nav' ? {} : { as: list.name },
+      };
+    });
+  });
+}
+
+// --- Webflow sliders (`w-slider`) recognition ---
+/**
+ * Marks every `w-slider` widget for conversion to runtime/Slider.jsx. The autoplay and
+ * animation settings stay as `data-*` attributes on the wrapper, where the runtime reads
+ * them. The nav dots are generated at runtime (as webflow.js does), so any exported dots
+ * are dropped.
+ */
+export function prepareSliders(bodyNode) {
+  findNodes(
+    bodyNode,
+    (node) => node.type === 'tag' && hasClass(node, 'w-slider')
+  ).forEach((sliderNode) => {
+    const isPart = (className) => (node) =>
+      node.type === 'tag' && hasClass(node, className);
+    const slides = findWidgetParts(sliderNode, 'w-slider', isPart('w-slide'));
+    if (slides.length === 0) return;
+
+    sliderNode.jsxOverride = { tagName: 'Slider' };
+    slides.forEach((slide) => (slide.jsxOverride = { tagName: 'SliderSlide' }));
+    ['left', 'right'].forEach((direction) => {
+      findWidgetParts(sliderNode, 'w-slider', isPart(`w-slider-arrow-${direction}`))
+        .forEach((arrow) => {
+          arrow.jsxOverride = { tagName: 'SliderArrow', extraAttributes: { direction } };
+        });
+    });
+    findWidgetParts(sliderNode, 'w-slider', isPart('w-slider-nav')).forEach((nav) => {
+      nav.jsxOverride = { tagName: 'SliderNav', omitChildren: true };
+    });
+  });
+}
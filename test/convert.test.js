@@ -0,0 +1,498 @@
+// convert.test.js (convert() on small HTML fixtures, checked through the returned file map)
+import assert from 'assert/strict';
+import fs from 'fs-extra';
+import { describe, it, mock } from 'node:test';
+import { convert } from '../scripts/converter.js';
+
+const page = (body, title = 'Page') =>
+  `<!DOCTYPE html><html><head><title>${title}</title></head><body>${body}</body></html>`;
+
+const FORM = `
+  <div class="w-form">
+    <form id="email-form" name="email-form" data-name="Email Form" method="get">
+      <label for="email">Email</label>
+      <input type="email" class="w-input" maxlength="256" name="email" data-name="Email" id="email" required="">
+      <label class="w-checkbox">
+        <input type="checkbox" id="terms" name="terms" data-name="Terms" class="w-checkbox-input" checked="">
+        <span class="w-form-label" for="terms">I agree</span>
+      </label>
+      <input type="submit" value="Submit" data-wait="Please wait..." class="w-button">
+    </form>
+    <div class="w-form-done"><div>Thank you!</div></div>
+    <div class="w-form-fail"><div>Oops!</div></div>
+  </div>`;
+
+const TABS = `
+  <div data-current="Tab 1" data-easing="ease" data-duration-in="300" data-duration-out="100" class="w-tabs">
+    <div class="w-tab-menu">
+      <a data-w-tab="Tab 1" class="w-tab-link w--current w-inline-block"><div>Tab 1</div></a>
+      <a data-w-tab="Tab 2" class="w-tab-link w-inline-block"><div>Tab 2</div></a>
+    </div>
+    <div class="w-tab-content">
+      <div data-w-tab="Tab 1" class="w-tab-pane w--tab-active">One</div>
+      <div data-w-tab="Tab 2" class="w-tab-pane">Two</div>
+    </div>
+  </div>`;
+
+const SEARCH_LINK = `
+  <a href="#" class="button">
+    <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+      <path d="M7 12A5 5 0 1 0 7 2a5 5 0 0 0 0 10Z" stroke="currentColor"/>
+    </svg>
+    <div>Search</div>
+  </a>`;
+
+const SIDEBAR = `
+  <div class="sidebar">
+    <a href="index.html" class="nav-link">Home</a>
+    <a href="about.html" class="nav-link">About</a>
+  </div>`;
+const NAVBAR = '<div class="navbar"><div class="brand">Acme</div></div>';
+
+const getPageSource = ({ files }, fileName = 'Index.jsx') => files[`pages/${fileName}`];
+const getReport = ({ files }) => JSON.parse(files['conversion-report.json']);
+
+describe('convert()', () => {
+  it('returns the generated files by their path in the output directory', async () => {
+    const result = await convert(page('<h1>Hello</h1>'));
+
+    assert.deepEqual(result.pages, ['index']);
+    assert.deepEqual(result.failures, []);
+    assert.match(getPageSource(result), /<h1>Hello<\/h1>/);
+    assert.ok(result.files['routes.jsx']);
+    assert.ok(result.files['components/runtime/Forms.jsx']);
+    assert.ok(!('components/runtime/Forms.d.ts' in result.files));
+    assert.ok(!('.webflow2react-state.json' in result.files));
+  });
+
+  it('converts an object of pages and uses the built-in settings', async () => {
+    const result = await convert({ index: page('<p>Home</p>'), about: page('<p>About</p>') });
+
+    assert.deepEqual(result.pages, ['about', 'index']);
+    assert.match(result.files['routes.jsx'], /<Route path="\/about" element={<About \/>} \/>/);
+    assert.ok(result.files['conversion-report.html']);
+  });
+
+  it('applies config overrides', async () => {
+    const result = await convert(page('<p>Home</p>'), {
+      config: {
+        typescript: { enabled: true },
+        paths: { pages: 'views' },
+        report: { enabled: false },
+      },
+    });
+
+    assert.ok(result.files['views/Index.tsx']);
+    assert.ok(result.files['components/runtime/Forms.d.ts']);
+    assert.ok(!('conversion-report.json' in result.files));
+  });
+
+  it('reads and writes nothing on disk', async (t) => {
+    const methods = [
+      'readJsonSync',
+      'readJson',
+      'readFile',
+      'readFileSync',
+      'readdir',
+      'pathExists',
+      'outputFile',
+      'writeFile',
+      'writeJson',
+      'ensureDir',
+      'emptyDir',
+    ].map((name) => t.mock.method(fs, name));
+    await convert(page('<h1>Hello</h1>'), { config: { svg: { strategy: 'component' } } });
+    methods.forEach((method) => assert.equal(method.mock.callCount(), 0));
+  });
+
+  it('logs nothing unless it is given a logger', async (t) => {
+    const methods = ['log', 'warn', 'error'].map((name) => t.mock.method(console, name));
+    await convert(page('<h1>Hello</h1>'));
+    methods.forEach((method) => assert.equal(method.mock.callCount(), 0));
+
+    const logger = { log: mock.fn(), warn: mock.fn(), error: mock.fn() };
+    await convert(page('<h1>Hello</h1>'), { logger });
+    assert.ok(
+      logger.log.mock.calls.some(({ arguments: [message] }) => message.includes('Index.jsx'))
+    );
+    methods.forEach((method) => assert.equal(method.mock.callCount(), 0));
+  });
+
+  it('shares no state between calls, even concurrent ones', async () => {
+    const input = { index: page(SEARCH_LINK), about: page(SEARCH_LINK + FORM) };
+    const componentConfig = { config: { svg: { strategy: 'component' } } };
+    const [imgResult, componentResult] = await Promise.all([
+      convert(input),
+      convert(input, componentConfig),
+    ]);
+
+    assert.deepEqual(imgResult.files, (await convert(input)).files);
+    assert.deepEqual(componentResult.files, (await convert(input, componentConfig)).files);
+    assert.ok(!Object.keys(imgResult.files).some((filePath) => filePath.includes('icons/')));
+  });
+
+  it('rejects input it cannot convert', async () => {
+    await assert.rejects(convert(42), /expects an HTML string, an AST/);
+    await assert.rejects(convert({ '../index': page('') }), /Invalid page name/);
+  });
+});
+
+describe('forms', () => {
+  it('turns a Webflow form into a component built on the form runtime', async () => {
+    const result = await convert(page(FORM));
+    const form = result.files['components/EmailForm.jsx'];
+
+    assert.match(getPageSource(result), /<EmailForm \/>/);
+    assert.match(form, /from '\.\/runtime\/Forms'/);
+    assert.match(form, /const EmailForm = \({ onSubmit }\) =>/);
+    assert.match(form, /initialValues={{ email: '', terms: true }}/);
+    assert.match(form, /<FormInput[^>]*maxLength=\{256\}[^>]*required/);
+    assert.match(form, /<FormCheckbox[^>]*defaultChecked/);
+    assert.match(form, /<FormDone className={'w-form-done'}>/);
+    assert.match(form, /<FormFail className={'w-form-fail'}>/);
+  });
+
+  it('leaves the markup as it is when forms are disabled', async () => {
+    const result = await convert(page(FORM), { config: { forms: { enabled: false } } });
+
+    assert.ok(!('components/EmailForm.jsx' in result.files));
+    assert.doesNotMatch(getPageSource(result), /FormInput/);
+    assert.match(getPageSource(result), /<form/);
+  });
+});
+
+describe('tabs', () => {
+  it('renders the tabs with the tabs runtime', async () => {
+    const source = getPageSource(await convert(page(TABS)));
+
+    assert.match(
+      source,
+      /import { TabLink, TabMenu, TabPane, Tabs } from '\.\.\/components\/runtime\/Tabs';/
+    );
+    assert.match(source, /<Tabs[^>]*defaultTab={'Tab 1'}/);
+    assert.equal(source.match(/<TabLink /g).length, 2);
+    assert.equal(source.match(/<TabPane /g).length, 2);
+    // The runtime sets the current classes.
+    assert.doesNotMatch(source, /w--current|w--tab-active/);
+  });
+
+  it('leaves the markup as it is when the tabs widget is disabled', async () => {
+    const source = getPageSource(
+      await convert(page(TABS), { config: { widgets: { tabs: false } } })
+    );
+
+    assert.doesNotMatch(source, /<Tabs/);
+    assert.match(source, /w-tab-pane/);
+  });
+});
+
+describe('svg strategies', () => {
+  it('saves each SVG and renders an <img> by default', async () => {
+    const result = await convert(page(SEARCH_LINK));
+    const svgFiles = Object.keys(result.files).filter((filePath) =>
+      filePath.startsWith('public/svgs/')
+    );
+
+    assert.equal(svgFiles.length, 1);
+    assert.match(svgFiles[0], /^public\/svgs\/icon-[0-9a-f]+\.svg$/);
+    assert.match(result.files[svgFiles[0]], /<path d="M7 12A5/);
+    assert.match(
+      getPageSource(result),
+      new RegExp(`<img\\s+src="${svgFiles[0].slice(6)}"\\s+alt={'icon'}\\s+/>`)
+    );
+  });
+
+  it('keeps quotes in the alt text of an SVG <img>', async () => {
+    const item = (path) => `
+      <a class="tool" href="#">
+        <svg viewBox="0 0 24 24"><title>Say "hi"</title><path d="${path}"/></svg>
+        <div class="tool-name">Greeter</div>
+      </a>`;
+    const result = await convert(
+      page(`<div class="tools">${item('M0 0')}${item('M1 1')}${item('M2 2')}</div>`)
+    );
+
+    assert.match(
+      result.files['components/ToolItem.jsx'],
+      /<img src={iconSrc} alt={'Say "hi"'} \/>/
+    );
+  });
+
+  it('turns each SVG into an icon component with "component"', async () => {
+    const result = await convert(page(SEARCH_LINK), { config: { svg: { strategy: 'component' } } });
+    const icon = result.files['components/icons/IconSearch.jsx'];
+
+    assert.ok(icon);
+    assert.match(icon, /const IconSearch = \(props\) =>/);
+    assert.match(icon, /viewBox={'0 0 16 16'}/);
+    assert.match(icon, /{\.\.\.props}/);
+    assert.match(getPageSource(result), /<IconSearch \/>/);
+    assert.ok(!Object.keys(result.files).some((filePath) => filePath.startsWith('public/svgs/')));
+  });
+
+  it('rejects an unknown strategy', async () => {
+    await assert.rejects(convert(page(SEARCH_LINK), { config: { svg: { strategy: 'sprite' } } }));
+  });
+});
+
+describe('shared layout', () => {
+  it('renders the pages in an <Outlet /> of the layout route for a single slot', async () => {
+    const result = await convert({
+      index: page(
+        `<div class="page-wrap">${SIDEBAR}<div class="main-content"><h1>Home</h1></div></div>`
+      ),
+      about: page(
+        `<div class="page-wrap">${SIDEBAR}<div class="main-content"><h1>About</h1><p>Us</p></div></div>`
+      ),
+    });
+    const layout = result.files['components/AppLayout.jsx'];
+
+    assert.match(layout, /const AppLayout = \(\) =>/);
+    assert.match(layout, /<div className={'main-content'}>\s*<Outlet \/>\s*<\/div>/);
+    assert.match(result.files['routes.jsx'], /<Route element={<AppLayout \/>}>\s*<Route path="\/"/);
+    assert.doesNotMatch(getPageSource(result), /AppLayout|sidebar/);
+    assert.deepEqual(getReport(result).layout.slots, ['children']);
+  });
+
+  it('renders each slot of the layout route in an <Outlet /> named in its context', async () => {
+    const result = await convert({
+      index: page(
+        `<div class="page-wrap"><div class="main-content"><h1>Home</h1></div>${SIDEBAR}<div class="popup">Hi</div></div>`
+      ),
+      about: page(
+        `<div class="page-wrap"><div class="main-content"><h1>About</h1></div>${SIDEBAR}</div>`
+      ),
+    });
+    const layout = result.files['components/AppLayout.jsx'];
+
+    assert.match(layout, /const AppLayout = \(\) =>/);
+    assert.match(layout, /<Outlet \/>\s*<SidebarLayout \/>\s*<Outlet context={'afterSidebar'} \/>/);
+    assert.match(
+      getPageSource(result),
+      /const slot = useOutletContext\(\);\s*if \(slot === 'afterSidebar'\)\s*return \(\s*<>\s*<div className={'popup'}>Hi<\/div>/
+    );
+    assert.match(getPageSource(result, 'About.jsx'), /if \(slot\) return null;/);
+    assert.match(result.files['routes.jsx'], /<Route element={<AppLayout \/>}>\s*<Route path="\/"/);
+    assert.deepEqual(getReport(result).layout.slots, ['children', 'afterSidebar']);
+  });
+
+  it('passes the slots to the layout as props without routing', async () => {
+    const result = await convert(
+      {
+        index: page(
+          `<div class="page-wrap"><div class="main-content"><h1>Home</h1></div>${SIDEBAR}<div class="popup">Hi</div></div>`
+        ),
+        about: page(
+          `<div class="page-wrap"><div class="main-content"><h1>About</h1></div>${SIDEBAR}</div>`
+        ),
+      },
+      { config: { routing: { enabled: false } } }
+    );
+    const layout = result.files['components/AppLayout.jsx'];
+
+    assert.match(layout, /const AppLayout = \({ children, afterSidebar }\) =>/);
+    assert.match(layout, /{children}\s*<SidebarLayout \/>\s*{afterSidebar}/);
+    assert.match(
+      getPageSource(result),
+      /<AppLayout\s+afterSidebar={\s*<>\s*<div className={'popup'}>Hi<\/div>/
+    );
+    assert.ok(!('routes.jsx' in result.files));
+  });
+
+  it('renders pages with the shared parts in another order whole', async () => {
+    const content = (title) => `<div class="main-content"><h1>${title}</h1><p>${title}</p></div>`;
+    const result = await convert({
+      index: page(`<div class="page-wrap">${NAVBAR}${SIDEBAR}${content('Home')}</div>`),
+      about: page(`<div class="page-wrap">${NAVBAR}${SIDEBAR}${content('About')}</div>`),
+      contact: page(`<div class="page-wrap">${SIDEBAR}${NAVBAR}${content('Contact')}</div>`),
+    });
+    const report = getReport(result);
+
+    assert.deepEqual(report.layout.pages, ['about', 'index']);
+    assert.deepEqual(report.layout.excludedPages, ['contact']);
+    assert.ok(report.warnings.some(({ category }) => category === 'layout'));
+    assert.match(getPageSource(result, 'Contact.jsx'), /className={'page-wrap'}/);
+    assert.doesNotMatch(getPageSource(result, 'About.jsx'), /className={'page-wrap'}/);
+  });
+
+  it('leaves every page whole when it is disabled', async () => {
+    const body = (title) =>
+      `<div class="page-wrap">${SIDEBAR}<div class="main-content"><h1>${title}</h1></div></div>`;
+    const result = await convert(
+      { index: page(body('Home')), about: page(body('About')) },
+      { config: { sharedLayout: { enabled: false } } }
+    );
+
+    assert.ok(!('components/AppLayout.jsx' in result.files));
+    // The pages' whole trees are left to component detection, as one repeated component.
+    assert.match(getPageSource(result), /<PagewrapItem h1Text={'Home'} \/>/);
+    assert.match(getPageSource(result, 'About.jsx'), /<PagewrapItem h1Text={'About'} \/>/);
+  });
+});
+
+describe('attributes', () => {
+  it('maps HTML attributes to React props and coerces their values', async () => {
+    const source = getPageSource(
+      await convert(
+        page(`
+          <div class="wrap" tabindex="0" aria-hidden="true" data-w-id="abc">
+            <label for="q">Search</label>
+            <input id="q" type="text" maxlength="80" readonly autocomplete="off">
+            <img src="https://cdn.example.com/a.png" srcset="https://cdn.example.com/a.png 1x" crossorigin="anonymous" alt="A">
+            <video autoplay muted loop playsinline></video>
+            <table><tr><td colspan="2">x</td></tr></table>
+            <p style="color: red; background-color: blue">Hi</p>
+          </div>`)
+      )
+    );
+
+    assert.match(source, /className={'wrap'}/);
+    assert.match(source, /tabIndex=\{0\}/);
+    assert.match(source, /aria-hidden={'true'}/);
+    assert.match(source, /data-w-id={'abc'}/);
+    assert.match(source, /<label htmlFor={'q'}>/);
+    assert.match(source, /maxLength=\{80\}\s+readOnly\s+autoComplete={'off'}/);
+    assert.match(
+      source,
+      /srcSet={'https:\/\/cdn\.example\.com\/a\.png 1x'}\s+crossOrigin={'anonymous'}/
+    );
+    assert.match(source, /<video autoPlay muted loop playsInline><\/video>/);
+    assert.match(source, /<td colSpan=\{2\}>/);
+    assert.match(source, /style={{ color: 'red', backgroundColor: 'blue' }}/);
+  });
+
+  it('sets the initial state of fields outside forms with defaultValue and defaultChecked', async () => {
+    const source = getPageSource(
+      await convert(
+        page(`
+          <div class="filters">
+            <select name="sort">
+              <option value="new">Newest</option>
+              <option value="old" selected>Oldest</option>
+            </select>
+            <select name="tags" multiple>
+              <option selected>Red</option>
+              <option>Green</option>
+              <option value="blue" selected>Blue</option>
+            </select>
+            <input type="checkbox" name="archived" checked>
+          </div>`)
+      )
+    );
+
+    assert.match(source, /<select name={'sort'} defaultValue={'old'}>/);
+    assert.match(source, /<select name={'tags'} multiple defaultValue={\['Red', 'blue'\]}>/);
+    assert.doesNotMatch(source, /selected/);
+    assert.match(source, /<input type={'checkbox'} name={'archived'} defaultChecked \/>/);
+  });
+});
+
+describe('typescript', () => {
+  it('requires only the props whose value differs and that every instance has', async () => {
+    const card = (title, note) => `
+      <div class="card">
+        <h3 class="card-title">${title}</h3>
+        <p class="card-caption" data-prop="caption">Read more</p>
+        <span class="card-note">${note}</span>
+      </div>`;
+    const result = await convert(
+      page(
+        `<div class="grid">${card('One', 'New')}${card('Two', ' ')}${card('Three', 'Sale')}</div>`
+      ),
+      { config: { typescript: { enabled: true } } }
+    );
+    const source = result.files['components/CardItem.tsx'];
+
+    assert.match(source, /\btitle: string;/);
+    // The same on every instance, and missing on one of them.
+    assert.match(source, /\bcaption\?: string;/);
+    assert.match(source, /\bspanText\?: string;/);
+    assert.match(source, /{caption \|\| 'Read more'}/);
+  });
+});
+
+describe('plugins', () => {
+  it('runs the afterParse, transformNode and beforeWrite hooks', async () => {
+    const parsedPages = [];
+    const plugin = {
+      name: 'design-system',
+      jsxImports: { Button: '@acme/ui' },
+      afterParse({ pageName, bodyNode }) {
+        parsedPages.push(pageName);
+        const strip = (node) => {
+          if (node.attribs) delete node.attribs['data-tracking'];
+          (node.children || []).forEach(strip);
+        };
+        strip(bodyNode);
+      },
+      transformNode(node) {
+        if (node.attribs?.class !== 'button') return undefined;
+        const { class: _, ...attribs } = node.attribs;
+        return { ...node, name: 'Button', attribs, jsxOverride: undefined };
+      },
+      beforeWrite({ filePath, content }) {
+        return filePath.endsWith('.jsx') ? `// Generated\n${content}` : undefined;
+      },
+    };
+    const result = await convert(
+      page(
+        '<section data-tracking="hero"><a href="#" class="button" data-tracking="cta">Go</a></section>'
+      ),
+      { config: { plugins: [plugin] } }
+    );
+    const source = getPageSource(result);
+
+    assert.deepEqual(parsedPages, ['index']);
+    assert.doesNotMatch(source, /data-tracking/);
+    assert.match(source, /import { Button } from '@acme\/ui';/);
+    assert.match(source, /<Button href={'#'}>Go<\/Button>/);
+    assert.match(source, /^\/\/ Generated\n/);
+    assert.match(result.files['routes.jsx'], /^\/\/ Generated\n/);
+  });
+
+  it('fails the page with the name of the plugin whose hook threw', async () => {
+    const result = await convert(page('<p>Hi</p>'), {
+      config: {
+        plugins: [
+          {
+            name: 'broken',
+            transformNode() {
+              throw new Error('boom');
+            },
+          },
+        ],
+      },
+    });
+
+    assert.deepEqual(result.pages, []);
+    assert.equal(result.failures.length, 1);
+    assert.match(result.failures[0].error, /broken.*boom/);
+  });
+});
+
+describe('accessibility', () => {
+  it('reports the issues it cannot fix', async () => {
+    const result = await convert(page('<img src="https://e.com/a.png"><a href="#"></a>'));
+
+    assert.deepEqual(
+      getReport(result).accessibility.map(({ rule, fixed }) => [rule, fixed]),
+      [
+        ['image-alt', false],
+        ['link-name', false],
+      ]
+    );
+  });
+
+  it('marks an SVG next to the text of its link decorative with fix', async () => {
+    const result = await convert(page(SEARCH_LINK), { config: { accessibility: { fix: true } } });
+
+    assert.match(
+      getPageSource(result),
+      /<img\s+src="\/svgs\/icon-[0-9a-f]+\.svg"\s+alt={''}\s+\/>/
+    );
+    assert.deepEqual(
+      getReport(result).accessibility.map(({ rule, fixed }) => [rule, fixed]),
+      [['svg-alt', true]]
+    );
+  });
+});